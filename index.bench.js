@@ -0,0 +1,45 @@
+import WildTrie from '@superhero/wild-trie'
+
+/**
+ * Compares the size of, and the time to load, the binary format and the JSON format of a large trie.
+ * Each load is measured by the median of the runs, to not depend on a single run.
+ */
+const
+  runs  = Number(process.argv[2] ?? 25),
+  acl   = new WildTrie()
+
+for(let tenant = 0; tenant < 200; tenant++)
+{
+  for(let resource = 0; resource < 50; resource++)
+  {
+    for(const action of [ 'read', 'create', 'update', 'delete', 'list' ])
+    {
+      acl.add(`tenant-${tenant}`, `resource-${resource}`, action).state = 'allow'
+    }
+  }
+}
+
+const
+  buffer  = acl.toBuffer(),
+  json    = JSON.stringify(acl.toJSON()),
+  median  = (load) =>
+  {
+    const durations = Array.from({ length: runs }, () =>
+    {
+      const start = performance.now()
+      load()
+      return performance.now() - start
+    }).sort((a, b) => a - b)
+
+    return durations[Math.floor(durations.length / 2)]
+  },
+  fromBuffer  = median(() => WildTrie.fromBuffer(buffer)),
+  fromJSON    = median(() => WildTrie.fromJSON(JSON.parse(json)))
+
+console.table(
+{
+  buffer  : { bytes: buffer.length, 'load (ms)': Number(fromBuffer.toFixed(2)) },
+  json    : { bytes: json.length,   'load (ms)': Number(fromJSON.toFixed(2)) }
+})
+
+console.log(`The binary format is ${(json.length / buffer.length).toFixed(1)}x smaller, and loads ${(fromJSON / fromBuffer).toFixed(1)}x faster, over ${runs} runs of ${acl.size} trie-nodes`)
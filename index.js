@@ -1,46 +1,183 @@
+import fs   from 'node:fs'
 import util from 'node:util'
+import { AsyncLocalStorage } from 'node:async_hooks'
 
 export default class WildTrie
 {
   static SEEN = Symbol('SEEN')
   static LEAF = Symbol('LEAF')
 
-  #branches = new Map()
+  static CONFIG = Object.freeze(
+  {
+    wildcard : '*',
+    globstar : '**',
+    escape   : '\\',
+    param    : ':',
+    params   : Object.freeze({}),
+    deny     : '!',
+    cyclic   : false
+  })
+
+  static #configs = new WeakSet([ WildTrie.CONFIG ])
+
+  #branches  = WildTrie.#empty
+  #matchers  = WildTrie.#empty
+  #state     = undefined
+  #denied    = false
+  #parents   = WildTrie.#empty
+  #loader    = undefined
+  #loading   = undefined
+  #journal   = undefined
+  #listeners = undefined
+  #snapshot  = undefined
+  #frozen    = undefined
+  #versions  = undefined
+  #configuration = undefined
+
+  // Shared by the trie-nodes that have no branches, matchers or parents, until one is set, which is 
+  // most of the leaves of a large trie, @see #own, #match and #link
+  static #empty = new Map()
+
+  // Collects the pending loaders that a synchronous walk reaches, @see queryAsync
+  static #pending = null
+
+  // The number of trie-nodes with listeners, events are only dispatched if any trie-node is observed.
+  static #observed = 0
+
+  // The trie-node that each globstar step of a walked trail hops to, @see #isCircularHop
+  static #hops = new WeakMap()
+
+  // The transaction that a mutation is called within, and the pending transactions, @see #atomic
+  static #transaction   = new AsyncLocalStorage()
+  static #transactions  = new Set()
 
   /**
    * Creates a new `WildTrie` instance.
-   * @param {*} [arg] - Optionally defines a structure from the provided argument.
+   * @param {*}       [arg]             - Optionally defines a structure from the provided argument.
+   * @param {Object}  [config]          - Optional configurations, inherited by all created descendants.
+   * @param {*}       [config.wildcard] - The branch token that matches any single branch, defaults to `*`.
+   * @param {*}       [config.globstar] - The branch token that matches any number of branches, defaults to `**`.
+   * @param {string}  [config.escape]   - The prefix used to escape a segment as a literal, defaults to `\`.
+   * @param {string}  [config.param]    - The prefix of a named parameter branch, defaults to `:`, `null` to disable.
+   * @param {Object<string, Function>} [config.params] - Converters of the named parameters, mapped by name. A 
+   *                                      converter returns the converted value of a segment, or `undefined`, 
+   *                                      `false` or `NaN` if the segment is not a valid value of the parameter.
+   *                                      A validator that returns `true` binds the segment as is.
+   * @param {*}       [config.deny]     - The branch of the deny rules, defaults to `!`, `null` to disable.
+   * @param {boolean} [config.cyclic]   - If a reference may create a circular path, defaults to `false`.
+   * @throws {TypeError} - E_WILD_TRIE_CONFIG - If the provided configuration is not an Object.
    */
-  constructor(arg)
+  constructor(arg, config)
   {
     if(arg !== undefined)
     {
-      return WildTrie.from(arg)
+      return new.target.from(arg, config)
+    }
+
+    this.#configuration = WildTrie.#config(config)
+  }
+
+  /**
+   * The configuration of the trie, inherited by all created descendants, @see constructor
+   * @type {Object}
+   */
+  get config()
+  {
+    return this.#configuration
+  }
+
+  static #config(config)
+  {
+    if(config === undefined)
+    {
+      return WildTrie.CONFIG
     }
 
-    Object.defineProperty(this, 'config',
+    // A resolved configuration is shared as is, which is how descendants inherit it.
+    if(WildTrie.#configs.has(config))
     {
-      value:
-      {
-        wildcard : '*',
-        globstar : '**'
-      }
-    })
+      return config
+    }
+
+    if(Object.prototype.toString.call(config) !== '[object Object]')
+    {
+      const error = new TypeError('When assigning a configuration you must use an Object')
+      error.code  = 'E_WILD_TRIE_CONFIG'
+      error.cause = `Expected the configuration to be an Object, but received: ${Object.prototype.toString.call(config)}`
+      throw error
+    }
+
+    const merged = { ...WildTrie.CONFIG, ...config }
+
+    if(typeof merged.escape !== 'string' || merged.escape === '')
+    {
+      const error = new TypeError('The escape configuration must be a non empty string')
+      error.code  = 'E_WILD_TRIE_CONFIG'
+      error.cause = `Expected the escape prefix to be a non empty string, but received: ${typeof merged.escape}`
+      throw error
+    }
+
+    if(merged.param !== null
+    &&(typeof merged.param !== 'string' || merged.param === ''))
+    {
+      const error = new TypeError('The param configuration must be a non empty string, or null')
+      error.code  = 'E_WILD_TRIE_CONFIG'
+      error.cause = `Expected the param prefix to be a non empty string, or null, but received: ${typeof merged.param}`
+      throw error
+    }
+
+    if(Object.prototype.toString.call(merged.params) !== '[object Object]'
+    || Object.values(merged.params).some(converter => typeof converter !== 'function'))
+    {
+      const error = new TypeError('The params configuration must be an Object of converter functions')
+      error.code  = 'E_WILD_TRIE_CONFIG'
+      error.cause = 'Expected each parameter converter to be a function'
+      throw error
+    }
+
+    if(typeof merged.cyclic !== 'boolean')
+    {
+      const error = new TypeError('The cyclic configuration must be a boolean')
+      error.code  = 'E_WILD_TRIE_CONFIG'
+      error.cause = `Expected the cyclic configuration to be a boolean, but received: ${typeof merged.cyclic}`
+      throw error
+    }
+
+    Object.freeze(merged)
+    WildTrie.#configs.add(merged)
+    return merged
+  }
+
+  /**
+   * A factory method to create an empty `WildTrie` instance with the provided configuration.
+   * @param {Object} [config] - @see constructor
+   * @returns {WildTrie} - Returns a new `WildTrie` instance.
+   * 
+   * @example
+   * const trie = WildTrie.create({ wildcard: '?', globstar: '...' })
+   * trie.add('files', '*', '?')
+   * trie.has('files', '*', 'read') // true
+   * trie.has('files', 'a', 'read') // false
+   */
+  static create(config)
+  {
+    return new this(undefined, config)
   }
 
   /**
    * A factory method to create a `WildTrie` instance from the provided argument.
    * @param {*} arg 
+   * @param {Object} [config] - @see constructor
    * @returns {WildTrie} - Returns a new `WildTrie` instance.
    */
-  static from(arg)
+  static from(arg, config)
   {
     if(arg instanceof WildTrie)
     {
       return arg
     }
 
-    const trie = new this()
+    const trie = new this(undefined, config)
 
     switch(Object.prototype.toString.call(arg))
     {
@@ -49,7 +186,7 @@ export default class WildTrie
       {
         for(const branch in arg)
         {
-          trie.set(branch, this.from(arg[branch]))
+          trie.set(branch, this.from(arg[branch], trie.config))
         }
 
         break
@@ -68,6 +205,10 @@ export default class WildTrie
    * Each key in the flat object is expected to be a branch-path, where each segment is separated by the 
    * provided separator. The method will inflate the flat object into a nested `WildTrie` structure.
    * 
+   * A segment that contains the separator is escaped by a backslash in front of the separator, and a 
+   * backslash by a backslash in front of it, `a\.b.c` is inflated to the branch-path `[ 'a.b', 'c' ]`.
+   * A backslash in front of any other character is preserved as is. @see deflate
+   * 
    * The mapped values of a provided Map or Object is defined as states at the branch-path the key of 
    * the value represents.
    * 
@@ -92,9 +233,9 @@ export default class WildTrie
     }
 
     // Ensure the provided configuration arguments are of the expected types.
-    if(typeof separator !== 'string')
+    if(typeof separator !== 'string' || separator === '')
     {
-      throw new TypeError(`Expected a string separator, but received: ${typeof separator}`)
+      throw new TypeError(`Expected a non empty string separator, but received: ${typeof separator}`)
     }
     if(typeof prefix !== 'string')
     {
@@ -122,7 +263,7 @@ export default class WildTrie
           throw new TypeError(`Expected a string branch-path, but received: ${typeof item}`)
         }
 
-        const path = `${prefix}${item}`.split(separator)
+        const path = WildTrie.#split(`${prefix}${item}`, separator)
         trie.add(...path)
       }
     }
@@ -153,16 +294,17 @@ export default class WildTrie
       // Sets the state of the trie-node at the added branch-path.
       for(const [ key, state ] of entries)
       {
-        if(stateType && state instanceof stateType)
-        {
-          const path = `${prefix}${key}`.split('.')
-          trie.add(...path).state = state
-        }
-        else
+        // The state type is only asserted if one is provided, a primitive state is asserted 
+        // by its wrapper object, for example a string state by the String type.
+        if(stateType
+        && false === Object(state) instanceof stateType)
         {
-          const providedStateType = Object.prototype.toString.call(stateType)
+          const providedStateType = Object.prototype.toString.call(state)
           throw new TypeError(`Expected a state of type ${stateType.name ?? stateType}, but received: ${providedStateType}`)
         }
+
+        const path = WildTrie.#split(`${prefix}${key}`, separator)
+        trie.add(...path).state = state
       }
     }
 
@@ -170,6 +312,153 @@ export default class WildTrie
     return trie
   }
 
+  /**
+   * Splits a flat key into the segments of a branch-path, @see inflate
+   * @param {string} key
+   * @param {string} separator
+   * @param {Array<string>} [escapable] - Additional characters that are unescaped if escaped.
+   * @returns {Array<string>}
+   */
+  static #split(key, separator, escapable = [])
+  {
+    const path = []
+    let segment = ''
+
+    for(let i = 0; i < key.length; i++)
+    {
+      if(key.startsWith(separator, i))
+      {
+        path.push(segment)
+        segment = ''
+        i += separator.length - 1
+      }
+      else if(key[i] === '\\'
+      && key.startsWith(separator, i + 1))
+      {
+        segment += separator
+        i += separator.length
+      }
+      else if(key[i] === '\\'
+      &&(key[i + 1] === '\\' || escapable.includes(key[i + 1])))
+      {
+        segment += key[i + 1]
+        i++
+      }
+      else
+      {
+        segment += key[i]
+      }
+    }
+
+    path.push(segment)
+    return path
+  }
+
+  /**
+   * The inverse of @see WildTrie.inflate, flattens the trie structure to flat keys, where the segments 
+   * of each branch-path are joined by the provided separator.
+   * 
+   * A separator in a segment is escaped by a backslash in front of it, as is a backslash.
+   * 
+   * When the type is a Map or an Object, then each trie-node that has a defined state, or that has no 
+   * branches, is mapped by its flat key to its state. When the type is a Set or an Array, then the flat
+   * key of each trie-node that has no branches is included.
+   * 
+   * A shared trie-node is flattened once for each of the branch-paths that leads to it.
+   * 
+   * @example
+   * const trie = new WildTrie()
+   * trie.add('db', 'host').state = 'localhost'
+   * trie.add('db', 'pool.size').state = 10
+   * trie.deflate('.', 'config')
+   * // Map { 'config.db.host' => 'localhost', 'config.db.pool\\.size' => 10 }
+   * 
+   * @param {string} [separator='.']    - The separator used to join each segment of the key.
+   * @param {string} [prefix='']        - An optional prefix to prepend to each flat key.
+   * @param {MapConstructor|ObjectConstructor|SetConstructor|ArrayConstructor} [type=Map] - The type to deflate to.
+   * @returns {Map|Object|Set|Array}    - The flat representation of the trie structure.
+   * @throws {TypeError}                - Throws if the provided arguments are not of the expected types.
+   * @throws {TypeError} - E_WILD_TRIE_SERIALIZE - If a branch can not be flattened, such as a predicate.
+   */
+  deflate(separator='.', prefix='', type=Map)
+  {
+    if(typeof separator !== 'string' || separator === '')
+    {
+      throw new TypeError(`Expected a non empty string separator, but received: ${typeof separator}`)
+    }
+    if(typeof prefix !== 'string')
+    {
+      throw new TypeError(`Expected a string prefix, but received: ${typeof prefix}`)
+    }
+
+    if(prefix && false === prefix.endsWith(separator))
+    {
+      prefix += separator
+    }
+
+    const 
+      keys    = type === Set || type === Array,
+      entries = []
+
+    for(const [ path, trie ] of this.#deflate([], new Set([ this ])))
+    {
+      if(keys && trie.#branches.size)
+      {
+        continue
+      }
+
+      const key = prefix + path.map(branch => this.#deflateBranch(branch, separator)).join(separator)
+      entries.push([ key, trie.state ])
+    }
+
+    switch(type)
+    {
+      case Map    : return new Map(entries)
+      case Object : return Object.fromEntries(entries)
+      case Set    : return new Set(entries.map(([ key ]) => key))
+      case Array  : return entries.map(([ key ]) => key)
+      default:
+      {
+        throw new TypeError(`Expected the type to be Map, Set, Object or Array, but received: ${type?.name ?? typeof type}`)
+      }
+    }
+  }
+
+  * #deflate(path, ancestors)
+  {
+    if(path.length
+    &&(this.state !== undefined || this.#branches.size === 0))
+    {
+      yield [ path, this ]
+    }
+
+    for(const [ branch, trie ] of this.#branches)
+    {
+      // Guards against walking a circular path.
+      if(false === ancestors.has(trie))
+      {
+        ancestors.add(trie)
+        yield * trie.#deflate([ ...path, branch ], ancestors)
+        ancestors.delete(trie)
+      }
+    }
+  }
+
+  #deflateBranch(branch, separator)
+  {
+    if(typeof branch === 'function'
+    || typeof branch === 'symbol'
+    ||(typeof branch === 'object' && branch !== null))
+    {
+      const error = new TypeError('Can not flatten the branch')
+      error.code  = 'E_WILD_TRIE_SERIALIZE'
+      error.cause = `Expected the branch to be a primitive, but received: ${Object.prototype.toString.call(branch)}`
+      throw error
+    }
+
+    return String(branch).replaceAll('\\', '\\\\').replaceAll(separator, '\\' + separator)
+  }
+
   /**
    * Clears all descendant branches at the provided branch-path.
    * @param {...*} [path]
@@ -177,38 +466,75 @@ export default class WildTrie
    */
   clear(...path)
   {
-    if(path.length)
-    {
-      return this.get(...path)?.clear()
-    }
-    else
+    return this.#journaled('clear', path, () =>
     {
-      this.#branches.clear()
-      return this
-    }
+      if(path.length)
+      {
+        return this.get(...path)?.clear()
+      }
+      else
+      {
+        const cleared = this.#branches.size
+
+        for(const [ branch, trie ] of this.#branches)
+        {
+          trie.#unlink(this, branch)
+        }
+
+        this.#branches.clear()
+        this.#matchers.clear()
+
+        if(cleared)
+        {
+          this.#touch()
+          this.#dispatch({ type: 'clear', path: [], node: this, previousState: this.state })
+        }
+
+        return this
+      }
+    })
   }
 
   /**
    * Declares the defined path, if not already defined.
+   * 
+   * A branch that includes a brace alternation, such as `{read,update}`, is expanded to a sibling 
+   * branch for each alternative, and the remaining path is declared on each of the alternatives.
+   * 
    * @param {*} [branch] 
    * @param {...*} [path] 
-   * @returns {WildTrie}
+   * @returns {WildTrie} - The trie-node at the end of the path, of the first alternative if expanded.
    */
   add(branch, ...path)
   {
-    if(branch)
+    return this.#journaled('add', [ branch, ...path ], () =>
     {
-      if(false === this.#branches.has(branch))
+      if(branch)
       {
-        this.#branches.set(branch, new this.constructor())
-      }
+        const alternatives = this.#expand(branch)
 
-      return this.#branches.get(branch).add(...path)
-    }
-    else
-    {
-      return this
-    }
+        if(alternatives.length > 1)
+        {
+          const [ trie ] = alternatives.map(alternative => this.add(alternative, ...path))
+          return trie
+        }
+
+        branch = this.#key(branch)
+
+        if(false === this.#branches.has(branch))
+        {
+          const trie = new this.constructor(undefined, this.config)
+          this.#branch(branch, trie)
+          this.#dispatch({ type: 'add', path: [ branch ], node: trie, previousState: undefined })
+        }
+
+        return this.#branches.get(branch).add(...path)
+      }
+      else
+      {
+        return this
+      }
+    })
   }
 
   /**
@@ -218,23 +544,85 @@ export default class WildTrie
    */
   delete(...path)
   {
-    if(path.length)
+    return this.#journaled('delete', path, () =>
     {
-      const branch = path.pop()
-
       if(path.length)
       {
-        return this.get(...path)?.delete(branch) ?? false
+        const branch = path.pop()
+
+        if(path.length)
+        {
+          return this.get(...path)?.delete(branch) ?? false
+        }
+        else
+        {
+          const 
+            key     = this.#key(branch),
+            deleted = this.#branches.get(key)
+
+          if(deleted === undefined)
+          {
+            return false
+          }
+
+          deleted.#unlink(this, key)
+          this.#matchers.delete(key)
+          this.#branches.delete(key)
+          this.#touch()
+          this.#dispatch({ type: 'delete', path: [ key ], node: deleted, previousState: deleted.state })
+          return true
+        }
       }
       else
       {
-        return this.#branches.delete(branch)
+        return false
       }
+    })
+  }
+
+  /**
+   * Escapes a segment that would otherwise be interpreted as a wildcard, a globstar, a named parameter, 
+   * a glob, an alternation or the deny branch, by prefixing
+   * it with the configured escape prefix. The escaped segment is stored, and matched, as a literal.
+   * @param {*} segment
+   * @returns {*} - The escaped segment, or the segment as is if it does not need to be escaped.
+   *
+   * @example
+   * const trie = new WildTrie()
+   * trie.add('files', trie.escape('*'), 'read')
+   * trie.has('files', trie.escape('*'), 'read') // true
+   * trie.has('files', 'foo', 'read')            // false
+   */
+  escape(segment)
+  {
+    if(this.config.wildcard === segment
+    || this.config.globstar === segment
+    || this.#isDeny(segment)
+    || this.#isParam(segment)
+    || this.#isGlob(segment)
+    || this.#expand(segment).length > 1
+    || (typeof segment === 'string' && segment.startsWith(this.config.escape)))
+    {
+      return this.config.escape + segment
     }
-    else
+
+    return segment
+  }
+
+  /**
+   * Removes the escape prefix from an escaped segment.
+   * @param {*} segment
+   * @returns {*} - The unescaped segment, or the segment as is if it is not escaped.
+   */
+  unescape(segment)
+  {
+    if(typeof segment === 'string'
+    && segment.startsWith(this.config.escape))
     {
-      return false
+      return segment.slice(this.config.escape.length)
     }
+
+    return segment
   }
 
   /**
@@ -245,8 +633,12 @@ export default class WildTrie
    */
   get(branch, ...path)
   {
+    this.#load()
+
     if(branch)
     {
+      branch = this.#key(branch)
+
       if(this.#branches.has(branch))
       {
         return this.#branches.get(branch).get(...path)
@@ -270,395 +662,5020 @@ export default class WildTrie
   }
 
   /**
-   * References a branch to a lazyloaded trie instance.
-   * @param {...*} branch     - The branch to set the referenced trie on.
-   * @param {WildTrie|*} lazy - The trie instance that is being defined to the specified branch. If the 
-   *                            `lazy` argument is not already a `WildTrie` instance, then it will be
-   *                            wrapped by a new `WildTrie` instance, with the provided value set as the 
-   *                            state of the created trie-node.
-   * @returns {WildTrie}      - Returns the `WildTrie` instance that has been set to the specified branch.
-   * @throws {ReferenceError} - If the reference creates a circular path.
+   * Declares a deny rule for the defined path, that overrides any less specific match of the path.
+   * 
+   * The deny rules are declared in the deny branch, @see config.deny, of the trie-node, and apply to 
+   * the paths that are queried from the trie-node, and from each ancestor that walks through it, for 
+   * the rest of the path from the trie-node. A path is denied if the most specific deny rule that 
+   * matches the path is at least as specific as the most specific match of the path, @see best
+   * 
+   * @param {...*} path
+   * @returns {WildTrie} - The trie-node of the deny rule.
    * 
    * @example
-   * const trie1 = new WildTrie()
-   * const trie2 = new WildTrie()
-   * trie1.set('second trie', trie2)
-   * trie1.has('second trie')            // true
-   * trie2.has('second trie')            // false
-   * trie1.get('second trie') === trie2  // true
+   * const acl = new WildTrie()
+   * acl.add('admin', '*', '*')
+   * acl.deny('admin', 'users', 'delete')
+   * acl.has('admin', 'users', 'read')   // true
+   * acl.has('admin', 'users', 'delete') // false
    */
-  set(...path)
+  deny(...path)
   {
-    const
-      lazy = path.pop(),
-      leaf = path.pop()
-
-    if(path.length)
-    {
-      return this.add(...path).set(leaf, lazy)
-    }
-    else
+    return this.#journaled('deny', path, () =>
     {
-      const trie = new this.constructor(lazy)
-
-      for(const decendent of trie.descendants())
-      {
-        if(decendent === this)
-        {
-          const error = new ReferenceError('Can not set a trie that creates a circular path')
-          error.code  = 'E_WILD_TRIE_CIRCULAR_REFERENCE'
-          error.cause = 'The targeted trie is a descendant to the referenced trie'
-          throw error
-        }
-      }
-  
-      this.#branches.set(leaf, trie)
-
+      const trie = this.add(this.config.deny, ...path)
+      trie.#setDenied(true)
       return trie
-    }
-  }
-
-  /**
-   * Returns the size of the branches trie map.
-   * @returns {number} - The number of branches in the trie.
-   */
-  get size()
-  {
-    return [ ...this.descendants() ].length
+    })
   }
 
   /**
-   * Returns a JSON representation of the trie structure, including all branches and all trie-nodes.
-   * @param {number} [depth=Infinity]                 - The depth to which the trie should be serialized.
-   * @typedef {Object<*, WildTrieJSON>} WildTrieJSON  - Serialized representation of the WildTrie.
-   * @returns {WildTrieJSON}
+   * Decides if the specified path is allowed, or denied, by comparing the most specific match of the
+   * path with the most specific deny rule that matches the path.
+   * 
+   * @param {...*} [path]
+   * @typedef {Object} WildTrieDecision
+   * @property {boolean}            allowed - If the path is allowed.
+   * @property {WildTrieMatch}      [allow] - The most specific match of the path.
+   * @property {WildTrieMatch}      [deny]  - The most specific deny rule that matches the path.
+   * @returns {WildTrieDecision}
    */
-  toJSON(depth = Infinity)
+  decide(...path)
   {
     const
-      json    = {},
-      compose = --depth >= 0
-        ? trie => this.#branches.size ? trie.toJSON(depth) : trie.state
-        : trie => `[${trie.constructor?.name ?? 'Object'}]`
+      denies    = this.#denies(path),
+      decision  = { allowed: false, allow: undefined, deny: undefined }
 
-    for(const [ branch, trie ] of this.#branches)
+    for(const [ match, trail ] of this.#matches(path))
     {
-      json[branch] = compose(trie)
+      const
+        deny    = denies(trail),
+        allowed = this.#allows(match.specificity, deny)
+
+      // An allowed match is decisive over a denied match, else the most specific match is decisive.
+      if(decision.allow === undefined
+      ||(allowed && false === decision.allowed)
+      ||(allowed === decision.allowed && WildTrie.#compareSpecificity(match.specificity, decision.allow.specificity) > 0))
+      {
+        decision.allowed  = allowed
+        decision.allow    = match
+        decision.deny     = deny
+      }
     }
 
-    return json
+    return decision
   }
 
   /**
-   * Returns a string representation of the trie structure.
-   * @param {number} [depth=Infinity] - The depth to which the trie should be serialized.
-   * @param {Function} [stylize]      - A function to stylize the output string.
-   * @returns {string}                - A string representation of the trie structure.
+   * Returns a function that resolves the most specific deny rule of a walked trail, of the deny branch
+   * of the trie-node, and of the deny branch of each trie-node that the trail walks through, for the 
+   * rest of the path. The deny rule of a walked trie-node is resolved as a match of the trie-node, by
+   * the branch-path and the specificity of the trail to it. If the path is concrete, then the deny rule
+   * of a walked trie-node is the same for every trail, else it is resolved by the concrete path that 
+   * each trail represents.
+   * @param {Array} path
+   * @returns {function(Array):(WildTrieMatch|undefined)}
    */
-  toString(depth = Infinity, stylize)
+  #denies(path)
   {
-    let output = ''
-
-    const entries = [ ...this.#branches ]
-
-    for(let i = 0; i < entries.length; i++)
+    if(path.length === 0
+    || this.config.deny === null)
+    {
+      return () => undefined
+    }
+
+    const 
+      concrete  = path.every(segment => this.#isConcrete(segment)),
+      resolved  = new Map(),
+      resolve   = (trie, segments, offset) =>
+      {
+        if(false === concrete)
+        {
+          return trie.#deny(segments.slice(offset))
+        }
+
+        const offsets = resolved.get(trie) ?? new Map()
+        resolved.set(trie, offsets)
+
+        if(false === offsets.has(offset))
+        {
+          offsets.set(offset, trie.#deny(segments.slice(offset)))
+        }
+
+        return offsets.get(offset)
+      }
+
+    return trail =>
+    {
+      const 
+        segments  = concrete ? path : trail.flatMap(step => 'capture' in step ? step.capture : [ step.segment ]),
+        denies    = []
+
+      for(let i = 0, offset = 0, trie = this; trie && offset < segments.length; i++)
+      {
+        const deny = trie.#branches.has(this.config.deny) ? resolve(trie, segments, offset) : undefined
+
+        if(deny)
+        {
+          const walked = trail.slice(0, i)
+
+          denies.push(
+          { 
+            ...deny, 
+            path        : [ ...this.#branchPath(walked), ...deny.path ], 
+            specificity : [ ...this.#specificity(walked), ...deny.specificity ]
+          })
+        }
+
+        if(i === trail.length)
+        {
+          break
+        }
+
+        const step = trail[i]
+
+        offset += 'capture' in step && Array.isArray(step.capture) ? step.capture.length : 1
+        trie    = (step.type === 'globstar' ? step.branch : [ step.branch ]).reduce((trie, branch) => trie?.#branches.get(branch), trie)
+      }
+
+      return this.#best(denies)
+    }
+  }
+
+  #isConcrete(segment)
+  {
+    return this.config.wildcard !== segment
+        && this.config.globstar !== segment
+        && false === this.#isGlob(segment)
+        && this.#expand(segment).length === 1
+  }
+
+  /**
+   * Returns the most specific deny rule that matches the path. A deny rule is a node in the deny 
+   * branch that was declared by the deny method, or that has no branches.
+   * @param {Array} path
+   * @returns {WildTrieMatch|undefined}
+   */
+  #deny(path)
+  {
+    if(path.length
+    && this.config.deny !== null
+    && this.#branches.has(this.config.deny))
+    {
+      const 
+        trie    = this.#branches.get(this.config.deny),
+        matches = trie.#matches(path)
+
+      return this.#best(function * (deny)
+      {
+        for(const [ match ] of matches)
+        {
+          if(match.node.#denied
+          || match.node.#branches.size === 0)
+          {
+            yield { ...match, path: [ deny, ...match.path ] }
+          }
+        }
+      }(this.config.deny))
+    }
+  }
+
+  /**
+   * A match is allowed if it is more specific than the deny rule, if a deny rule matched.
+   * @param {number[]} specificity
+   * @param {WildTrieMatch} [deny]
+   * @returns {boolean}
+   */
+  #allows(specificity, deny)
+  {
+    return deny === undefined
+        || WildTrie.#compareSpecificity(specificity, deny.specificity) > 0
+  }
+
+  #isDeny(branch)
+  {
+    return this.config.deny !== null
+        && this.config.deny === branch
+  }
+
+  /**
+   * References a branch to a trie instance, @see setLazy to load the trie-node on demand.
+   * @param {...*} branch     - The branch to set the referenced trie on.
+   * @param {WildTrie|*} lazy - The trie instance that is being defined to the specified branch. If the 
+   *                            `lazy` argument is not already a `WildTrie` instance, then it will be
+   *                            wrapped by a new `WildTrie` instance, with the provided value set as the 
+   *                            state of the created trie-node.
+   * @returns {WildTrie}      - Returns the `WildTrie` instance that has been set to the specified branch.
+   * @throws {ReferenceError} - E_WILD_TRIE_CIRCULAR_REFERENCE - If the reference creates a circular path,
+   *                            unless the trie is configured to be cyclic.
+   * 
+   * @example
+   * const trie1 = new WildTrie()
+   * const trie2 = new WildTrie()
+   * trie1.set('second trie', trie2)
+   * trie1.has('second trie')            // true
+   * trie2.has('second trie')            // false
+   * trie1.get('second trie') === trie2  // true
+   */
+  set(...path)
+  {
+    return this.#journaled('set', path, () =>
+    {
+      const
+        lazy = path.pop(),
+        leaf = path.pop()
+
+      if(path.length)
+      {
+        return this.add(...path).set(leaf, lazy)
+      }
+      else
+      {
+        const trie = new this.constructor(lazy, this.config)
+
+        for(const decendent of this.config.cyclic ? [] : trie.descendants())
+        {
+          if(decendent === this)
+          {
+            const error = new ReferenceError('Can not set a trie that creates a circular path')
+            error.code  = 'E_WILD_TRIE_CIRCULAR_REFERENCE'
+            error.cause = 'The targeted trie is a descendant to the referenced trie'
+            throw error
+          }
+        }
+
+        const 
+          key      = this.#key(leaf),
+          replaced = this.#branches.get(key)
+
+        this.#branch(key, trie)
+        this.#dispatch({ type: 'set', path: [ key ], node: trie, previousState: replaced?.state })
+
+        return trie
+      }
+    })
+  }
+
+  /**
+   * References a branch to a lazy trie-node, that is loaded by the loader the first time a walk 
+   * reaches it, such as a query, or a get of the trie-node. The branches and the state of the loaded
+   * trie are adopted by the lazy trie-node, and the loader is not called again, unless it failed.
+   * 
+   * An async loader, that returns a promise, is pending until the promise is resolved, and is walked
+   * as an empty trie-node meanwhile. @see queryAsync and @see hasAsync to await the pending loaders.
+   * 
+   * @param {...*} branch       - The branch-path to set the lazy trie-node on.
+   * @param {Function} loader   - Returns, or resolves to, the trie, or the structure, to load.
+   * @returns {WildTrie}        - Returns the lazy trie-node.
+   * @throws {TypeError} - E_WILD_TRIE_LAZY_LOADER - If the loader is not a function.
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.setLazy('tenant', 'acme', async () => WildTrie.parse(await readFile('acme.rules', 'utf8')))
+   * await acl.hasAsync('tenant', 'acme', 'admin', 'read')
+   */
+  setLazy(...path)
+  {
+    const loader = path.pop()
+
+    if(typeof loader !== 'function')
+    {
+      const error = new TypeError('The loader of a lazy trie-node must be a function')
+      error.code  = 'E_WILD_TRIE_LAZY_LOADER'
+      error.cause = `Expected the loader to be a function, but received: ${typeof loader}`
+      throw error
+    }
+
+    const trie = this.set(...path, new this.constructor(undefined, this.config))
+    trie.#loader = loader
+    return trie
+  }
+
+  /**
+   * Loads the lazy trie-node, if not already loaded.
+   * @returns {Promise|undefined} - The pending load of an async loader.
+   */
+  #load()
+  {
+    // A lazy snapshot is filled when the snapshotted trie-node is loaded, @see #fill
+    if(this.#frozen?.lazy)
+    {
+      return this.#frozen.origin.#load()
+    }
+
+    if(this.#loader)
+    {
+      const loader = this.#loader
+      this.#loader = undefined
+
+      let loaded
+
+      try
+      {
+        loaded = loader()
+      }
+      catch(reason)
+      {
+        this.#loader = loader
+        throw reason
+      }
+
+      if(typeof loaded?.then === 'function')
+      {
+        this.#loading = Promise.resolve(loaded).then(
+          (loaded) => 
+          {
+            this.#loading = undefined
+            this.#adopt(loaded)
+          },
+          (reason) => 
+          {
+            this.#loading = undefined
+            this.#loader  = loader
+            throw reason
+          })
+
+        // A failed load is reported to the awaiting walks, and not as an unhandled rejection.
+        this.#loading.catch(() => null)
+      }
+      else
+      {
+        this.#adopt(loaded)
+      }
+    }
+
+    if(this.#loading)
+    {
+      WildTrie.#pending?.add(this.#loading)
+    }
+
+    return this.#loading
+  }
+
+  #adopt(loaded)
+  {
+    const trie = loaded === undefined 
+      ? new this.constructor(undefined, this.config) 
+      : new this.constructor(loaded, this.config)
+
+    // The lazy snapshot of the trie-node, if it is not mutated since it was snapshotted.
+    const lazy = this.#snapshot?.#frozen.lazy ? this.#snapshot : undefined
+
+    this.#journaled('adopt', [ trie ], () => this.#graft(trie))
+
+    if(lazy !== undefined
+    && lazy.#frozen.lazy)
+    {
+      this.#fill(lazy)
+    }
+  }
+
+  /**
+   * Grafts the state, and the branches, of the loaded trie onto the lazy trie-node.
+   * @param {WildTrie} trie
+   */
+  #graft(trie)
+  {
+    for(const decendent of this.config.cyclic ? [] : trie.descendants())
+    {
+      if(decendent === this)
+      {
+        const error = new ReferenceError('Can not load a trie that creates a circular path')
+        error.code  = 'E_WILD_TRIE_CIRCULAR_REFERENCE'
+        error.cause = 'The lazy trie-node is a descendant to the loaded trie'
+        throw error
+      }
+    }
+
+    if(trie.state !== undefined)
+    {
+      this.state = trie.state
+    }
+
+    if(trie.#denied)
+    {
+      this.#setDenied(true)
+    }
+
+    for(const [ branch, child ] of trie.#branches)
+    {
+      this.#branch(branch, child)
+      this.#dispatch({ type: 'add', path: [ branch ], node: child, previousState: undefined })
+    }
+  }
+
+  /**
+   * A factory method to open a persistent trie, that writes each call to the mutation methods, `add`, 
+   * `set`, `delete`, `clear` and `deny`, of the trie, and of the trie-nodes of it, to an append-only 
+   * journal file, as a line of JSON.
+   * 
+   * The journal is compacted to a snapshot file, `<filePath>.snapshot`, after the number of written 
+   * records of the `compactAfter` option, or by @see compact. The snapshot is written to a temporary 
+   * file that replaces the previous snapshot, and each record has a sequence number, so that a crash at 
+   * any point is recovered by the snapshot and the records that are not already in the snapshot. A 
+   * partially written last record is discarded when opened.
+   * 
+   * The assigned state of a trie-node, @see state, and the loaded trie of a lazy trie-node, are written 
+   * as records of their own. The loader of a lazy trie-node is not persisted, @see setLazy
+   * 
+   * @example
+   * const grants = WildTrie.open('./grants.journal')
+   * grants.add('user', '42', 'posts', 'read')
+   * grants.close()
+   * 
+   * WildTrie.open('./grants.journal').has('user', '42', 'posts', 'read') // true
+   * 
+   * @param {string}  filePath                  - The path of the journal file.
+   * @param {Object}  [options]
+   * @param {number}  [options.compactAfter=1000] - The number of records to write before compacting.
+   * @param {boolean} [options.fsync=false]     - If each record should be flushed to the disk.
+   * @param {Object}  [options.config]          - @see constructor
+   * @returns {WildTrie}
+   * @throws {Error} - E_WILD_TRIE_JOURNAL - If the journal, or the snapshot, is corrupted.
+   */
+  static open(filePath, options = {})
+  {
+    if(typeof filePath !== 'string' || filePath === '')
+    {
+      throw WildTrie.#journalError(`Expected the file path to be a non empty string, but received: ${typeof filePath}`)
+    }
+
+    const 
+      { compactAfter = 1000, fsync = false, config } = options,
+      snapshotPath = `${filePath}.snapshot`
+
+    // A temporary snapshot is a compaction that did not complete.
+    fs.rmSync(`${snapshotPath}.tmp`, { force: true })
+
+    let trie, seq = 0
+
+    if(fs.existsSync(snapshotPath))
+    {
+      try
+      {
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'))
+        trie = this.fromJSON(snapshot.trie, config)
+        seq  = snapshot.seq
+      }
+      catch(reason)
+      {
+        throw WildTrie.#journalError(`The snapshot "${snapshotPath}" is corrupted: ${reason.message}`)
+      }
+    }
+    else
+    {
+      trie = new this(undefined, config)
+    }
+
+    const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : ''
+    let records = 0
+
+    for(let offset = 0, line = 1; offset < text.length; line++)
+    {
+      const 
+        end = text.indexOf('\n', offset),
+        raw = text.slice(offset, end === -1 ? text.length : end)
+
+      let record
+
+      try
+      {
+        if(end === -1)
+        {
+          throw new SyntaxError('The record is not terminated')
+        }
+
+        record = JSON.parse(raw)
+      }
+      catch(reason)
+      {
+        // A partially written last record, of a crash, is discarded.
+        if(end === -1 || end === text.length - 1)
+        {
+          fs.truncateSync(filePath, Buffer.byteLength(text.slice(0, offset)))
+          break
+        }
+
+        throw WildTrie.#journalError(`The record at line ${line} of the journal "${filePath}" is corrupted: ${reason.message}`)
+      }
+
+      offset = end + 1
+
+      // A record that is already in the snapshot, of a compaction that did not truncate the journal.
+      if(record.seq <= seq)
+      {
+        continue
+      }
+
+      if(record.seq !== seq + 1)
+      {
+        throw WildTrie.#journalError(`Expected the record at line ${line} of the journal "${filePath}" to have the sequence number ${seq + 1}, but received: ${record.seq}`)
+      }
+
+      trie.#replay(record, line)
+      seq = record.seq
+      records++
+    }
+
+    trie.#attach(new Journal(filePath, snapshotPath, trie, seq, { compactAfter, fsync }))
+
+    if(records >= compactAfter)
+    {
+      trie.compact()
+    }
+
+    return trie
+  }
+
+  /**
+   * Compacts the journal of a persistent trie to a snapshot, @see WildTrie.open
+   * @returns {WildTrie}
+   * @throws {Error} - E_WILD_TRIE_JOURNAL - If the trie is not persistent, or the journal is closed.
+   */
+  compact()
+  {
+    this.#persistent().compact(this.#batch())
+    return this
+  }
+
+  /**
+   * Closes the journal of a persistent trie, @see WildTrie.open
+   * A closed persistent trie can be queried, but not mutated.
+   * @returns {WildTrie}
+   * @throws {Error} - E_WILD_TRIE_JOURNAL - If the trie is not persistent.
+   */
+  close()
+  {
+    if(this.#journal === undefined)
+    {
+      throw WildTrie.#journalError('The trie is not persistent, expected a trie that is opened by WildTrie.open')
+    }
+
+    this.#journal.close()
+    return this
+  }
+
+  #persistent()
+  {
+    if(this.#journal === undefined)
+    {
+      throw WildTrie.#journalError('The trie is not persistent, expected a trie that is opened by WildTrie.open')
+    }
+
+    if(this.#journal.closed)
+    {
+      throw WildTrie.#journalError(`The journal "${this.#journal.filePath}" is closed`)
+    }
+
+    return this.#journal
+  }
+
+  /**
+   * Attaches the journal to the trie-node, and to each descendant trie-node.
+   * @param {Journal} journal
+   */
+  #attach(journal)
+  {
+    const stack = [ this ]
+
+    while(stack.length)
+    {
+      const trie = stack.pop()
+      trie.#journal = journal
+
+      for(const child of trie.#branches.values())
+      {
+        if(child.#journal !== journal)
+        {
+          stack.push(child)
+        }
+      }
+    }
+  }
+
+  /**
+   * Mutates the trie-node, and writes the mutation to the journal of a persistent trie. A mutation 
+   * that is called by another mutation is written as a part of that mutation, except for the loaded 
+   * trie of a lazy trie-node, that a mutation may walk through, and that is written before it.
+   * A snapshot can not be mutated, @see snapshot
+   * @param {string} operation  - The name of the mutation method.
+   * @param {Array} args        - The arguments of the mutation method.
+   * @param {Function} mutate   - The mutation.
+   * @returns {*} - The result of the mutation.
+   * @throws {TypeError} - E_WILD_TRIE_FROZEN - If the trie-node is a snapshot.
+   */
+  #journaled(operation, args, mutate)
+  {
+    if(this.#frozen)
+    {
+      throw WildTrie.#frozenError(operation)
+    }
+
+    const 
+      journal   = this.#journal,
+      adopting  = operation === 'adopt'
+
+    // A lazy trie-node is also loaded by a walk of a closed persistent trie, that can be queried.
+    if(journal === undefined
+    ||(journal.busy   && false === adopting)
+    ||(journal.closed && adopting))
+    {
+      return mutate()
+    }
+
+    const node = this.#pathFrom(journal.root)
+
+    // A detached trie-node is no longer a part of the persistent trie.
+    if(node === undefined)
+    {
+      return mutate()
+    }
+
+    this.#persistent()
+
+    const record = { op: operation, node: journal.root.#encodePath(node) }
+
+    if(operation === 'set')
+    {
+      const 
+        value = args[args.length - 1],
+        ref   = value instanceof WildTrie ? value.#pathFrom(journal.root) : undefined
+
+      record.args = journal.root.#encodePath(args.slice(0, -1))
+
+      if(ref)
+      {
+        record.ref = journal.root.#encodePath(ref)
+      }
+      else if(value instanceof WildTrie)
+      {
+        record.trie = value.toJSON({ references: true })
+      }
+      else
+      {
+        record.value = value
+      }
+    }
+    else if(operation === 'state'
+         || operation === 'denied')
+    {
+      record.value = args[0]
+    }
+    else if(adopting)
+    {
+      record.trie = args[0].toJSON({ references: true })
+    }
+    else
+    {
+      record.args = journal.root.#encodePath(args)
+    }
+
+    const busy = journal.busy
+    let result
+
+    journal.busy = true
+
+    try
+    {
+      result = mutate()
+    }
+    finally
+    {
+      journal.busy = busy
+    }
+
+    // The loaded trie of a lazy trie-node is kept if the transaction is rolled back, @see #atomic
+    journal.write(record, this.#batch(), adopting ? this : undefined)
+    return result
+  }
+
+  /**
+   * Resolves the journal batch of the innermost pending transaction of a trie-node that the trie-node 
+   * is a descendant of, which the mutations of the trie-node are written to, @see #atomic
+   * @returns {Object|undefined}
+   */
+  #batch()
+  {
+    let batch
+
+    for(const transaction of WildTrie.#transactions)
+    {
+      if(transaction.journal === this.#journal
+      && this.#pathFrom(transaction.trie) !== undefined)
+      {
+        batch = transaction.batch
+      }
+    }
+
+    return batch
+  }
+
+  /**
+   * Replays a record of the journal, @see WildTrie.open
+   * @param {Object} record
+   * @param {number} line
+   */
+  #replay(record, line)
+  {
+    const node = this.get(...this.#decodePath(record.node ?? []))
+
+    if(node === undefined)
+    {
+      throw WildTrie.#journalError(`Expected the trie-node of the record at line ${line} to exist`)
+    }
+
+    const args = this.#decodePath(record.args ?? [])
+
+    switch(record.op)
+    {
+      case 'add'    : node.add(...args);    break
+      case 'delete' : node.delete(...args); break
+      case 'clear'  : node.clear(...args);  break
+      case 'deny'   : node.deny(...args);   break
+      case 'state'  : node.state = record.value;          break
+      case 'denied' : node.#setDenied(record.value);      break
+      case 'adopt'  : node.#graft(this.constructor.fromJSON(record.trie, this.config)); break
+      case 'batch'  : record.records.forEach(batched => this.#replay(batched, line)); break
+      case 'set'    :
+      {
+        const value = 'ref' in record
+          ? this.get(...this.#decodePath(record.ref))
+          : 'trie' in record
+            ? this.constructor.fromJSON(record.trie, this.config)
+            : record.value
+
+        node.set(...args, value)
+        break
+      }
+      default:
+      {
+        throw WildTrie.#journalError(`Expected the operation of the record at line ${line} to be a mutation, but received: ${record.op}`)
+      }
+    }
+  }
+
+  /**
+   * Mutates the trie-node without writing the mutations to the journal of a persistent trie, for a 
+   * mutation that compacts the journal to a snapshot of the mutated trie, @see merge
+   * @param {Function} mutate
+   * @returns {*} - The result of the mutation.
+   */
+  #unjournaled(mutate)
+  {
+    const journal = this.#journal
+
+    if(journal === undefined)
+    {
+      return mutate()
+    }
+
+    const busy = journal.busy
+    journal.busy = true
+
+    try
+    {
+      return mutate()
+    }
+    finally
+    {
+      journal.busy = busy
+    }
+  }
+
+  /**
+   * Resolves the shortest branch-path from an ancestor to the trie-node, by walking the parents of the 
+   * trie-node up to the ancestor, breadth first, or undefined if the ancestor is not an ancestor.
+   * @param {WildTrie} ancestor
+   * @returns {Array|undefined}
+   */
+  #pathFrom(ancestor)
+  {
+    // The child, and the branch to the child, that each visited ancestor was reached from.
+    const 
+      steps = new Map([[ this, undefined ]]),
+      queue = [ this ]
+
+    for(const trie of queue)
+    {
+      if(trie === ancestor)
+      {
+        const path = []
+
+        for(let step = steps.get(trie); step; step = steps.get(step[0]))
+        {
+          path.push(step[1])
+        }
+
+        return path
+      }
+
+      for(const [ parent, branches ] of trie.#parents)
+      {
+        if(false === steps.has(parent))
+        {
+          steps.set(parent, [ trie, branches.values().next().value ])
+          queue.push(parent)
+        }
+      }
+    }
+  }
+
+  #encodePath(path)
+  {
+    return path.map(branch => branch === undefined ? null : this.#serializeBranch(branch))
+  }
+
+  #decodePath(path)
+  {
+    return path.map(branch => branch === null ? undefined : this.#deserializeBranch(branch))
+  }
+
+  static #journalError(cause)
+  {
+    const error = new Error('Invalid persistent trie')
+    error.code  = 'E_WILD_TRIE_JOURNAL'
+    error.cause = cause
+    return error
+  }
+
+  /**
+   * The state of the trie-node. Assigning a state dispatches a `state` event, @see on, and is written 
+   * to the journal of a persistent trie, @see WildTrie.open
+   * @type {*}
+   */
+  get state()
+  {
+    return this.#state
+  }
+
+  set state(state)
+  {
+    this.#journaled('state', [ state ], () =>
+    {
+      const previousState = this.#state
+      this.#state = state
+
+      if(false === Object.is(previousState, state))
+      {
+        this.#touch()
+        this.#dispatch({ type: 'state', path: [], node: this, previousState })
+      }
+    })
+  }
+
+  /**
+   * Declares, or revokes, the trie-node as a deny rule, and writes it to the journal of a persistent 
+   * trie, @see deny
+   * @param {boolean} denied
+   */
+  #setDenied(denied)
+  {
+    this.#journaled('denied', [ denied ], () =>
+    {
+      if(this.#denied !== denied)
+      {
+        this.#denied = denied
+        this.#touch()
+      }
+    })
+  }
+
+  /**
+   * Adds a listener of the mutation events of the trie-node, and of its descendant trie-nodes.
+   * 
+   * An event is dispatched by the mutated trie-node, and bubbles up to each ancestor, including each 
+   * parent that references a shared trie-node, once for each ancestor, with the branch-path from the
+   * ancestor to the mutated trie-node, and the `paths`, each distinct branch-path from the ancestor to 
+   * the mutated trie-node, through each of the shared trie-nodes. The `paths` are resolved when read, 
+   * which may be costly if many shared trie-nodes are walked through.
+   * 
+   * - `add`   - A branch was added, the node is the added trie-node.
+   * - `set`   - A branch was set, the node is the set trie-node, @see set
+   * - `delete`- A branch was deleted, the node is the deleted trie-node.
+   * - `clear` - The branches of a trie-node were cleared, the node is the cleared trie-node.
+   * - `state` - The state of a trie-node was assigned, the node is the trie-node.
+   * - `*`     - Any of the events.
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.on('*', ({ type, path }) => console.log(type, path))
+   * acl.add('admin', 'read') // add [ 'admin' ], add [ 'admin', 'read' ]
+   * 
+   * @param {string} type         - The type of the event.
+   * @param {Function} listener   - Called with the event, `{ type, path, paths, node, previousState }`.
+   * @returns {WildTrie}
+   */
+  on(type, listener)
+  {
+    if(typeof listener !== 'function')
+    {
+      throw new TypeError(`Expected the listener to be a function, but received: ${typeof listener}`)
+    }
+
+    if(this.#listeners === undefined)
+    {
+      this.#listeners = new Map()
+      WildTrie.#observed++
+    }
+
+    if(false === this.#listeners.has(type))
+    {
+      this.#listeners.set(type, new Set())
+    }
+
+    this.#listeners.get(type).add(listener)
+    return this
+  }
+
+  /**
+   * Adds a listener that is removed after the first event it is called with, @see on
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {WildTrie}
+   */
+  once(type, listener)
+  {
+    const once = event =>
+    {
+      this.off(type, once)
+      listener(event)
+    }
+
+    return this.on(type, once)
+  }
+
+  /**
+   * Removes a listener, @see on
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {WildTrie}
+   */
+  off(type, listener)
+  {
+    const listeners = this.#listeners?.get(type)
+
+    if(listeners?.delete(listener) && listeners.size === 0)
+    {
+      this.#listeners.delete(type)
+
+      if(this.#listeners.size === 0)
+      {
+        this.#listeners = undefined
+        WildTrie.#observed--
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * Dispatches the event to the listeners of the trie-node, and bubbles it up to each ancestor once,
+   * breadth first, with the shortest branch-path from the ancestor to the mutated trie-node. The 
+   * distinct branch-paths of the event are only resolved if they are read, @see #branchPaths
+   * @param {Object} event
+   */
+  #dispatch(event)
+  {
+    if(WildTrie.#observed === 0)
+    {
+      return
+    }
+
+    // The path from each ancestor to the mutated trie-node, each ancestor is only visited once.
+    const 
+      paths = new Map([[ this, event.path ]]),
+      queue = [ this ]
+
+    for(const trie of queue)
+    {
+      for(const [ parent, branches ] of trie.#parents)
+      {
+        if(false === paths.has(parent))
+        {
+          paths.set(parent, [ branches.values().next().value, ...paths.get(trie) ])
+          queue.push(parent)
+        }
+      }
+    }
+
+    for(const trie of queue)
+    {
+      if(trie.#listeners)
+      {
+        let distinct
+
+        const 
+          mutated     = this,
+          dispatched  = 
+          {
+            ...event, 
+            path: paths.get(trie),
+            get paths() { return distinct ??= mutated.#branchPaths(trie, event.path) }
+          }
+
+        for(const type of [ event.type, '*' ])
+        {
+          for(const listener of [ ...trie.#listeners?.get(type) ?? [] ])
+          {
+            listener(dispatched)
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolves each distinct branch-path from an ancestor to the mutated trie-node, breadth first. A 
+   * circular path is not followed back to a trie-node of the path.
+   * @param {WildTrie} ancestor
+   * @param {Array} path - The branch-path from the trie-node to the mutated trie-node.
+   * @returns {Array[]} - The branch-paths, the shortest first.
+   */
+  #branchPaths(ancestor, path)
+  {
+    const 
+      paths = [],
+      queue = [[ this, path, new Set([ this ]) ]]
+
+    for(const [ trie, path, chain ] of queue)
+    {
+      if(trie === ancestor)
+      {
+        paths.push(path)
+        continue
+      }
+
+      for(const [ parent, branches ] of trie.#parents)
+      {
+        if(false === chain.has(parent))
+        {
+          for(const branch of branches)
+          {
+            queue.push([ parent, [ branch, ...path ], new Set([ ...chain, parent ]) ])
+          }
+        }
+      }
+    }
+
+    return paths
+  }
+
+  #link(parent, branch)
+  {
+    if(this.#parents === WildTrie.#empty)
+    {
+      this.#parents = new Map()
+    }
+
+    if(false === this.#parents.has(parent))
+    {
+      this.#parents.set(parent, new Set())
+    }
+
+    this.#parents.get(parent).add(branch)
+  }
+
+  #unlink(parent, branch)
+  {
+    const branches = this.#parents.get(parent)
+
+    if(branches?.delete(branch) && branches.size === 0)
+    {
+      this.#parents.delete(parent)
+    }
+  }
+
+  /**
+   * The number of branches that references the trie-node.
+   * @returns {number}
+   */
+  get #references()
+  {
+    // A snapshot is not linked to the parents of the snapshot, @see snapshot
+    if(this.#frozen)
+    {
+      return this.#frozen.references
+    }
+
+    let references = 0
+
+    for(const branches of this.#parents.values())
+    {
+      references += branches.size
+    }
+
+    return references
+  }
+
+  /**
+   * Creates a frozen, read-only, snapshot of the trie structure, that is not affected by later mutations
+   * of the trie. A trie-node that has not been mutated since the previous snapshot is shared by the 
+   * snapshots, so that the cost of a snapshot is relative to the mutations since the previous snapshot.
+   * 
+   * A snapshot is not kept by the trie, and is released when it is no longer referenced, a snapshot that 
+   * is kept as a version is committed, @see commit
+   * 
+   * A lazy trie-node that is not loaded, or that is pending, is snapshotted as lazy, and is not loaded 
+   * by the snapshot. The lazy trie-node of the snapshot is loaded by the loader of the trie-node, when 
+   * the snapshot is walked, or when the trie-node is walked, unless the trie-node is mutated before.
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', 'read')
+   * const snapshot = acl.snapshot()
+   * acl.delete('admin')
+   * snapshot.has('admin', 'read') // true
+   * acl.has('admin', 'read')      // false
+   * 
+   * @returns {WildTrie} - The snapshot, the mutation methods of which throws `E_WILD_TRIE_FROZEN`.
+   */
+  snapshot()
+  {
+    if(this.#frozen)
+    {
+      return this
+    }
+
+    return this.#freeze()
+  }
+
+  /**
+   * Snapshots the trie, @see snapshot, and keeps the snapshot as the next version of the trie, unless
+   * the trie has not been mutated since the previous version, @see versions and @see rollback
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', 'read')
+   * acl.commit()
+   * acl.versions.length // 1
+   * 
+   * @returns {WildTrie} - The snapshot of the version.
+   * @throws {TypeError} - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   */
+  commit()
+  {
+    if(this.#frozen)
+    {
+      throw WildTrie.#frozenError('commit')
+    }
+
+    const snapshot = this.#freeze()
+
+    this.#versions ??= []
+
+    if(this.#versions.at(-1) !== snapshot)
+    {
+      this.#versions.push(snapshot)
+    }
+
+    return snapshot
+  }
+
+  /**
+   * Releases the versions of the trie, except for the latest versions to keep. The kept versions are 
+   * indexed from 0 after they are pruned, @see versions
+   * 
+   * @example
+   * acl.prune(10) // keeps the 10 latest versions
+   * 
+   * @param {number} [keep=0] - The number of the latest versions to keep.
+   * @returns {WildTrie}
+   * @throws {RangeError} - E_WILD_TRIE_VERSION - If the number of versions to keep is not a non negative integer.
+   */
+  prune(keep = 0)
+  {
+    if(false === Number.isInteger(keep)
+    || keep < 0)
+    {
+      const error = new RangeError('Can not prune the versions to keep an invalid number of versions')
+      error.code  = 'E_WILD_TRIE_VERSION'
+      error.cause = `Expected the number of versions to keep to be a non negative integer, but received: ${keep}`
+      throw error
+    }
+
+    this.#versions?.splice(0, Math.max(0, this.#versions.length - keep))
+
+    if(this.#versions?.length === 0)
+    {
+      this.#versions = undefined
+    }
+
+    return this
+  }
+
+  /**
+   * The committed snapshots of the trie, where the index of each snapshot is the version, @see commit
+   * @type {WildTrie[]}
+   */
+  get versions()
+  {
+    return Object.freeze([ ...this.#versions ?? [] ])
+  }
+
+  /**
+   * Rolls back the trie structure to a version, @see versions. A trie-node that has not been mutated
+   * since the version is kept as is, and the trie-nodes of the version are restored, so that the 
+   * listeners, and the references to the trie-nodes, are kept. Dispatches the `set`, `delete` and 
+   * `state` events of the restored trie-nodes, @see on
+   * 
+   * The journal of a persistent trie is compacted after the rollback, @see compact
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', 'read')
+   * acl.commit()
+   * acl.add('guest', 'read')
+   * acl.rollback(0)
+   * acl.has('guest', 'read') // false
+   * 
+   * @param {number|WildTrie} version - The version, or the snapshot, to roll back to.
+   * @returns {WildTrie}
+   * @throws {RangeError} - E_WILD_TRIE_VERSION - If the version is not a version of the trie.
+   * @throws {TypeError}  - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   */
+  rollback(version)
+  {
+    if(this.#frozen)
+    {
+      throw WildTrie.#frozenError('rollback')
+    }
+
+    const snapshot = version instanceof WildTrie ? version : this.#versions?.[version]
+
+    if(snapshot?.#frozen?.origin !== this)
+    {
+      const error = new RangeError('Can not roll back to a version that is not a version of the trie')
+      error.code  = 'E_WILD_TRIE_VERSION'
+      error.cause = `Expected a version between 0 and ${(this.#versions?.length ?? 0) - 1}, or a snapshot of the trie`
+      throw error
+    }
+
+    if(this.#journal !== undefined)
+    {
+      this.#persistent()
+    }
+
+    this.#revert(snapshot)
+    return this
+  }
+
+  /**
+   * Restores the trie to the snapshot, and compacts the journal of a persistent trie, so that the 
+   * journal is not replayed to the mutations that the snapshot reverts.
+   * @param {WildTrie} snapshot
+   */
+  #revert(snapshot)
+  {
+    this.#unjournaled(() => this.#restore(snapshot))
+    this.#journal?.compact(this.#batch())
+  }
+
+  /**
+   * Returns the snapshot of the trie-node, and freezes the trie-nodes that has been mutated since the
+   * previous snapshot.
+   * @returns {WildTrie}
+   */
+  #freeze()
+  {
+    if(this.#snapshot !== undefined)
+    {
+      return this.#snapshot
+    }
+
+    const frozen = new this.constructor(undefined, this.config)
+
+    frozen.#state     = this.#state
+    frozen.#denied    = this.#denied
+    frozen.#matchers  = this.#matchers === WildTrie.#empty ? WildTrie.#empty : new Map(this.#matchers)
+    frozen.#snapshot  = frozen
+    frozen.#frozen    = 
+    {
+      origin      : this,
+      references  : this.#references,
+      lazy        : this.#loader !== undefined || this.#loading !== undefined,
+      loader      : this.#loader
+    }
+
+    // Assigned before the branches are frozen, for a circular branch to resolve the same snapshot.
+    this.#snapshot    = frozen
+
+    try
+    {
+      for(const [ branch, trie ] of this.#branches)
+      {
+        frozen.#own().set(branch, trie.#freeze())
+      }
+    }
+    catch(reason)
+    {
+      this.#snapshot = undefined
+      throw reason
+    }
+
+    return Object.freeze(frozen)
+  }
+
+  /**
+   * Fills the lazy snapshot of the trie-node with the loaded trie-node, when the trie-node is loaded 
+   * without having been mutated since it was snapshotted, so that the snapshots of the trie-node, and 
+   * a rollback to them, have the loaded branches and state, @see snapshot
+   * @param {WildTrie} lazy - The lazy snapshot of the trie-node.
+   */
+  #fill(lazy)
+  {
+    const loaded = this.#freeze()
+
+    lazy.#state     = loaded.#state
+    lazy.#denied    = loaded.#denied
+    lazy.#branches  = loaded.#branches
+    lazy.#matchers  = loaded.#matchers
+    lazy.#frozen    = { ...lazy.#frozen, lazy: false, loader: undefined }
+    this.#snapshot  = lazy
+  }
+
+  /**
+   * Restores the trie-node, and its descendants, to the snapshot, @see rollback
+   * @param {WildTrie} snapshot
+   * @param {Set<WildTrie>} [restoring] - The trie-nodes being restored, that a circular branch leads back to.
+   */
+  #restore(snapshot, restoring = new Set)
+  {
+    // The trie-node has not been mutated since the snapshot.
+    if(this.#snapshot === snapshot
+    || restoring.has(this))
+    {
+      return
+    }
+
+    // A lazy trie-node that was mutated before it was loaded, is restored to be loaded by the loader.
+    if(snapshot.#frozen.lazy
+    && this.#loader  === undefined
+    && this.#loading === undefined)
+    {
+      this.#loader = snapshot.#frozen.loader
+    }
+
+    restoring.add(this)
+    this.#touch()
+
+    for(const [ branch, trie ] of [ ...this.#branches ])
+    {
+      if(false === snapshot.#branches.has(branch))
+      {
+        trie.#unlink(this, branch)
+        this.#matchers.delete(branch)
+        this.#branches.delete(branch)
+        this.#dispatch({ type: 'delete', path: [ branch ], node: trie, previousState: trie.state })
+      }
+    }
+
+    for(const [ branch, frozen ] of snapshot.#branches)
+    {
+      const 
+        trie     = frozen.#frozen.origin,
+        replaced = this.#branches.get(branch)
+
+      if(replaced !== trie)
+      {
+        this.#branch(branch, trie)
+        this.#dispatch({ type: 'set', path: [ branch ], node: trie, previousState: replaced?.state })
+      }
+
+      trie.#restore(frozen, restoring)
+    }
+
+    this.#denied   = snapshot.#denied
+    this.state     = snapshot.#state
+    this.#snapshot = snapshot
+  }
+
+  /**
+   * Invalidates the snapshot of the mutated trie-node, and of its ancestors, @see snapshot
+   */
+  #touch()
+  {
+    const stack = [ this ]
+
+    while(stack.length)
+    {
+      const trie = stack.pop()
+
+      // The ancestors of a trie-node that has no snapshot have no snapshot either.
+      if(trie.#snapshot !== undefined)
+      {
+        trie.#snapshot = undefined
+        stack.push(...trie.#parents.keys())
+      }
+    }
+  }
+
+  static #frozenError(operation)
+  {
+    const error = new TypeError(`Can not ${operation} a snapshot`)
+    error.code  = 'E_WILD_TRIE_FROZEN'
+    error.cause = 'The trie-node is a read-only snapshot, @see snapshot'
+    return error
+  }
+
+  /**
+   * Compares two tries, and returns the operations that mutates the first trie to the second trie, in 
+   * the order they are expected to be applied, @see applyPatch
+   * 
+   * - `{ op: 'add', path }`             - Adds the branch at the branch-path.
+   * - `{ op: 'delete', path }`          - Deletes the branch at the branch-path.
+   * - `{ op: 'state', path, from, to }` - Changes the state of the trie-node at the branch-path.
+   * - `{ op: 'deny', path, from, to }`  - Changes if the trie-node at the branch-path is a deny rule.
+   * - `{ op: 'reference', path, from, to }` - Changes the shared trie-node that the branch-path references,
+   *                                      from and to the branch-path of the shared trie-node, `from` is 
+   *                                      undefined if the branch-path did not reference a shared trie-node.
+   * 
+   * A shared trie-node is compared at the first branch-path that leads to it, breadth first, any other 
+   * branch-path to it is a reference. The states are compared by deep equality. A trie-node that is 
+   * unchanged in both tries is not compared, such as the trie-nodes that two snapshots share, or a 
+   * trie-node that has not been mutated since the snapshot that it is compared to. A lazy trie-node is 
+   * compared as it is, and is not loaded, @see setLazy
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', 'read')
+   * const before = acl.snapshot()
+   * acl.add('admin', 'write').state = 'allow'
+   * WildTrie.diff(before, acl)
+   * // [ { op: 'add', path: [ 'admin', 'write' ] }, 
+   * //   { op: 'state', path: [ 'admin', 'write' ], from: undefined, to: 'allow' } ]
+   * 
+   * @param {WildTrie} a
+   * @param {WildTrie} b
+   * @returns {Object[]} - The operations.
+   * @throws {TypeError} - If either of the arguments is not a `WildTrie` instance.
+   */
+  static diff(a, b)
+  {
+    if(false === a instanceof WildTrie
+    || false === b instanceof WildTrie)
+    {
+      throw new TypeError('Expected both of the compared tries to be instances of WildTrie')
+    }
+
+    const 
+      operations  = [],
+      deletions   = [],
+      from        = WildTrie.#canonical(a),
+      to          = WildTrie.#canonical(b),
+      queue       = [[ a, b, [] ]]
+
+    for(const [ source, target, path ] of queue)
+    {
+      if(false === util.isDeepStrictEqual(source?.state, target.state))
+      {
+        operations.push({ op: 'state', path, from: source?.state, to: target.state })
+      }
+
+      if((source?.#denied ?? false) !== target.#denied)
+      {
+        operations.push({ op: 'deny', path, from: source?.#denied ?? false, to: target.#denied })
+      }
+
+      for(const branch of source?.#branches.keys() ?? [])
+      {
+        // Deleted last, a deleted trie-node may still be referenced from another branch-path.
+        if(false === target.#branches.has(branch))
+        {
+          deletions.push({ op: 'delete', path: [ ...path, branch ] })
+        }
+      }
+
+      for(const [ branch, child ] of target.#branches)
+      {
+        const 
+          childPath = [ ...path, branch ],
+          previous  = source?.#branches.get(branch),
+          reference = WildTrie.#samePath(to.get(child), childPath) ? undefined : to.get(child),
+          replaced  = previous && (WildTrie.#samePath(from.get(previous), childPath) ? undefined : from.get(previous))
+
+        if(reference)
+        {
+          if(false === WildTrie.#samePath(replaced, reference))
+          {
+            operations.push({ op: 'reference', path: childPath, from: replaced, to: reference })
+          }
+        }
+        else if(previous === undefined)
+        {
+          operations.push({ op: 'add', path: childPath })
+          queue.push([ undefined, child, childPath ])
+        }
+        else if(replaced)
+        {
+          operations.push({ op: 'delete', path: childPath }, { op: 'add', path: childPath })
+          queue.push([ undefined, child, childPath ])
+        }
+        else if(false === WildTrie.#unchanged(previous, child))
+        {
+          queue.push([ previous, child, childPath ])
+        }
+      }
+    }
+
+    return [ ...operations, ...deletions ]
+  }
+
+  /**
+   * Maps each trie-node to the first branch-path that leads to it, breadth first.
+   * @param {WildTrie} trie
+   * @returns {Map<WildTrie, Array>}
+   */
+  static #canonical(trie)
+  {
+    const 
+      paths = new Map([[ trie, [] ]]),
+      queue = [ trie ]
+
+    for(const node of queue)
+    {
+      for(const [ branch, child ] of node.#branches)
+      {
+        if(false === paths.has(child))
+        {
+          paths.set(child, [ ...paths.get(node), branch ])
+          queue.push(child)
+        }
+      }
+    }
+
+    return paths
+  }
+
+  /**
+   * A trie-node is unchanged if it is the same trie-node, or if it is the snapshot of the trie-node, 
+   * or if both are the same snapshot, @see snapshot
+   */
+  static #unchanged(a, b)
+  {
+    return a === b
+        || a.#snapshot === b
+        || b.#snapshot === a
+        ||(a.#snapshot !== undefined && a.#snapshot === b.#snapshot)
+  }
+
+  static #samePath(a, b)
+  {
+    return a === b
+      ||( a !== undefined 
+      &&  b !== undefined
+      &&  a.length === b.length
+      &&  a.every((branch, i) => Object.is(branch, b[i])))
+  }
+
+  /**
+   * Applies the operations of a diff to the trie, @see WildTrie.diff
+   * 
+   * Each operation is expected to apply to the trie as it was compared, an operation conflicts if the 
+   * trie has drifted, such as if the branch to add already exists, the branch to delete does not exist,
+   * or the state to change is not the state it changes from. The patch is applied atomically, the trie
+   * is restored if an operation conflicts, or if an operation throws.
+   * 
+   * @example
+   * const deployed = WildTrie.parse(await readFile('acl.rules', 'utf8'))
+   * deployed.applyPatch(WildTrie.diff(previous, next))
+   * 
+   * @param {Object[]} operations
+   * @returns {WildTrie}
+   * @throws {Error}      - E_WILD_TRIE_PATCH_CONFLICT - If an operation conflicts, the error has the 
+   *                        `index` and the `operation` that conflicts.
+   * @throws {TypeError}  - E_WILD_TRIE_INVALID_PATCH - If an operation is not valid.
+   * @throws {TypeError}  - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   * @throws {Error}      - E_WILD_TRIE_TRANSACTION - If another transaction of the trie is pending.
+   */
+  applyPatch(operations)
+  {
+    if(false === Array.isArray(operations))
+    {
+      throw WildTrie.#patchError(`Expected the operations to be an array, but received: ${typeof operations}`)
+    }
+
+    return this.#atomic('patch', () =>
+    {
+      operations.forEach((operation, index) => this.#patch(operation, index))
+      return this
+    })
+  }
+
+  /**
+   * Calls the callback with the trie, and rolls back all the mutations of the trie if the callback 
+   * throws, or if the promise it returns rejects. The thrown error is rethrown as is, with the 
+   * `rollback` property, the operations that restored the trie, @see WildTrie.diff
+   * 
+   * The trie is restored to the snapshot of when the transaction started, which includes any other 
+   * mutation of the trie while an async transaction is pending. A transaction, a merge or a patch that
+   * is called within the transaction, also after it awaits, is nested in it, and is rolled back to when 
+   * the nested transaction started. Any other transaction, merge or patch, of the trie, or of a trie-node
+   * of it, is rejected while the transaction is pending. A lazy trie-node that is loaded during the 
+   * transaction keeps the loaded trie when rolled back.
+   * 
+   * The mutations of a transaction of a persistent trie are written to the journal as one record when 
+   * the transaction completes, and are not written if it is rolled back, @see WildTrie.open
+   * 
+   * @example
+   * await acl.transaction(async (tx) =>
+   * {
+   *   tx.clear()
+   *   tx.merge(WildTrie.parse(await readFile('acl.rules', 'utf8')))
+   * })
+   * 
+   * @param {Function} callback - Called with the trie, may return a promise.
+   * @returns {*} - The result of the callback.
+   * @throws {TypeError} - If the callback is not a function.
+   * @throws {TypeError} - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   * @throws {Error} - E_WILD_TRIE_TRANSACTION - If another transaction of the trie is pending.
+   */
+  transaction(callback)
+  {
+    if(typeof callback !== 'function')
+    {
+      throw new TypeError(`Expected the transaction to be a function, but received: ${typeof callback}`)
+    }
+
+    return this.#atomic('transaction', () => callback(this))
+  }
+
+  /**
+   * Mutates the trie atomically, the trie is restored to how it was before the mutation if the 
+   * mutation throws, or if the promise it returns rejects, @see transaction
+   * 
+   * The mutation is pending until it completes. A mutation that is called within a pending mutation, 
+   * also after it awaits, is nested in it, any other atomic mutation of the same trie-node, or of an 
+   * ancestor or a descendant trie-node, is rejected while it is pending.
+   * 
+   * @param {string} operation  - The name of the mutation.
+   * @param {Function} mutate   - The mutation.
+   * @returns {*} - The result of the mutation.
+   * @throws {TypeError} - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   * @throws {Error} - E_WILD_TRIE_TRANSACTION - If another transaction of the trie-node is pending.
+   */
+  #atomic(operation, mutate)
+  {
+    if(this.#frozen)
+    {
+      throw WildTrie.#frozenError(operation)
+    }
+
+    if(this.#journal !== undefined)
+    {
+      this.#persistent()
+    }
+
+    const parent = WildTrie.#transaction.getStore()
+
+    for(const pending of WildTrie.#transactions)
+    {
+      if(WildTrie.#related(this, pending.trie)
+      && false === WildTrie.#nested(parent, pending))
+      {
+        const error = new Error(`Can not ${operation} while another transaction of the trie is pending`)
+        error.code  = 'E_WILD_TRIE_TRANSACTION'
+        error.cause = 'Expected the pending transaction to complete first, or the transaction to be called within it'
+        throw error
+      }
+    }
+
+    let enclosing = parent
+
+    while(enclosing !== undefined
+    &&(enclosing.journal !== this.#journal || false === WildTrie.#transactions.has(enclosing)))
+    {
+      enclosing = enclosing.parent
+    }
+
+    const 
+      journal     = this.#journal,
+      snapshot    = this.#freeze(),
+      // The journal records of the mutation are written when it completes, @see Journal.begin
+      batch       = journal?.begin(enclosing?.batch),
+      transaction = { trie: this, journal, batch, parent },
+      commit      = (result) =>
+      {
+        WildTrie.#transactions.delete(transaction)
+        journal?.commit(batch)
+        return result
+      },
+      rollback    = (reason) =>
+      {
+        WildTrie.#transactions.delete(transaction)
+
+        const operations = WildTrie.diff(this, snapshot)
+
+        // The mutations are not written to the journal, which is already as of the snapshot.
+        this.#unjournaled(() => this.#restore(snapshot))
+
+        // Except for the loaded tries of the lazy trie-nodes, that the restored trie keeps, @see #fill
+        for(const [ node, record ] of batch?.adopted ?? [])
+        {
+          const path = node.#pathFrom(journal.root)
+
+          if(path !== undefined
+          && node.#loader === undefined)
+          {
+            journal.write({ ...record, node: journal.root.#encodePath(path) }, batch.parent, node)
+          }
+        }
+
+        journal?.rollback(batch)
+
+        if(Object.isExtensible(reason))
+        {
+          reason.rollback = operations
+        }
+
+        throw reason
+      }
+
+    WildTrie.#transactions.add(transaction)
+
+    let result
+
+    try
+    {
+      result = WildTrie.#transaction.run(transaction, mutate)
+    }
+    catch(reason)
+    {
+      rollback(reason)
+    }
+
+    return typeof result?.then === 'function'
+      ? Promise.resolve(result).then(commit, rollback)
+      : commit(result)
+  }
+
+  /**
+   * If either trie-node is the other trie-node, or a descendant of it.
+   * @param {WildTrie} a
+   * @param {WildTrie} b
+   * @returns {boolean}
+   */
+  static #related(a, b)
+  {
+    return a.#pathFrom(b) !== undefined
+        || b.#pathFrom(a) !== undefined
+  }
+
+  /**
+   * If the transaction is, or is nested in, the pending transaction, @see #atomic
+   * @param {Object|undefined} transaction
+   * @param {Object} pending
+   * @returns {boolean}
+   */
+  static #nested(transaction, pending)
+  {
+    for(; transaction !== undefined; transaction = transaction.parent)
+    {
+      if(transaction === pending)
+      {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  #patch(operation, index)
+  {
+    if(false === Array.isArray(operation?.path))
+    {
+      throw WildTrie.#patchError(`Expected the operation at index ${index} to have a branch-path array`)
+    }
+
+    const
+      path    = operation.path,
+      branch  = path[path.length - 1],
+      parent  = path.length ? this.get(...path.slice(0, -1)) : undefined,
+      node    = path.length ? parent?.get(branch) : this,
+      cause   = this.#conflict(operation, index, parent, node)
+
+    if(cause)
+    {
+      const error     = new Error(`The operation at index ${index} conflicts with the trie`)
+      error.code      = 'E_WILD_TRIE_PATCH_CONFLICT'
+      error.cause     = cause
+      error.index     = index
+      error.operation = operation
+      throw error
+    }
+
+    switch(operation.op)
+    {
+      case 'add'        : return parent.set(branch, new this.constructor(undefined, this.config))
+      case 'delete'     : return parent.delete(branch)
+      case 'state'      : return node.state = operation.to
+      case 'reference'  : return parent.set(branch, this.get(...operation.to))
+      case 'deny'       : return node.#setDenied(operation.to)
+    }
+  }
+
+  /**
+   * Describes why the operation conflicts with the trie, @see applyPatch
+   * @returns {string|undefined} - The cause of the conflict, or undefined if the operation applies.
+   * @throws {TypeError} - E_WILD_TRIE_INVALID_PATCH - If the operation is not valid.
+   */
+  #conflict(operation, index, parent, node)
+  {
+    switch(operation.op)
+    {
+      case 'add':
+      {
+        if(parent === undefined)
+        {
+          return 'Expected the parent of the branch to add to exist'
+        }
+
+        if(node !== undefined)
+        {
+          return 'Expected the branch to add to not already exist'
+        }
+
+        return
+      }
+      case 'delete':
+      {
+        if(parent === undefined
+        || node   === undefined)
+        {
+          return 'Expected the branch to delete to exist'
+        }
+
+        return
+      }
+      case 'state':
+      {
+        if(node === undefined)
+        {
+          return 'Expected the trie-node of the state to exist'
+        }
+
+        if(false === util.isDeepStrictEqual(node.state, operation.from))
+        {
+          return 'Expected the state to be the state it changes from'
+        }
+
+        return
+      }
+      case 'deny':
+      {
+        if(node === undefined)
+        {
+          return 'Expected the trie-node of the deny rule to exist'
+        }
+
+        if(node.#denied !== operation.from)
+        {
+          return 'Expected the trie-node to be a deny rule as it changes from'
+        }
+
+        return
+      }
+      case 'reference':
+      {
+        if(parent === undefined)
+        {
+          return 'Expected the parent of the reference to exist'
+        }
+
+        if(false === Array.isArray(operation.to)
+        || this.get(...operation.to) === undefined)
+        {
+          return 'Expected the referenced trie-node to exist'
+        }
+
+        if(operation.from !== undefined
+        && node !== this.get(...operation.from))
+        {
+          return 'Expected the branch to reference the trie-node it changes from'
+        }
+
+        return
+      }
+      default:
+      {
+        throw WildTrie.#patchError(`Expected the operation at index ${index} to be add, delete, state, deny or reference, but received: ${operation.op}`)
+      }
+    }
+  }
+
+  static #patchError(cause)
+  {
+    const error = new TypeError('Invalid patch')
+    error.code  = 'E_WILD_TRIE_INVALID_PATCH'
+    error.cause = cause
+    return error
+  }
+
+  /**
+   * Merges the branches, and the states, of the other trie into the trie. A branch that the trie does
+   * not have is added, and a branch that both tries have is merged recursively. A trie-node that is 
+   * shared by the other trie is shared by the added branches as well.
+   * 
+   * A state conflicts if both trie-nodes have a state that is not deeply equal, the conflict is resolved
+   * by the `onConflict` option:
+   * 
+   * - `'overwrite'` - The state of the other trie is assigned, the default.
+   * - `'keep'`      - The state of the trie is kept.
+   * - `Function`    - Called with the `(state, otherState, path)`, and returns the merged state.
+   * 
+   * The merge is atomic, the trie is restored if the `onConflict` function throws. The journal of a 
+   * persistent trie is compacted after the merge, @see compact
+   * 
+   * @example
+   * const effective = new WildTrie()
+   * effective.merge(editor)
+   * effective.merge(viewer, { onConflict: (a, b) => [ ...new Set([ ...a, ...b ]) ] })
+   * 
+   * @param {WildTrie} other
+   * @param {Object} [options]
+   * @param {'overwrite'|'keep'|Function} [options.onConflict='overwrite']
+   * @returns {WildTrie}
+   * @throws {TypeError} - If the other trie is not a `WildTrie` instance.
+   * @throws {TypeError} - E_WILD_TRIE_MERGE_STRATEGY - If the `onConflict` option is not valid.
+   * @throws {TypeError} - E_WILD_TRIE_FROZEN - If the trie is a snapshot.
+   * @throws {Error} - E_WILD_TRIE_TRANSACTION - If another transaction of the trie is pending.
+   */
+  merge(other, { onConflict } = {})
+  {
+    if(false === other instanceof WildTrie)
+    {
+      throw new TypeError('Expected the merged trie to be an instance of WildTrie')
+    }
+
+    const resolve = WildTrie.#resolver(onConflict)
+
+    return this.#atomic('merge', () =>
+    {
+      this.#unjournaled(() => this.#merge(other, resolve, [], new Map(), new Map()))
+      this.#journal?.compact(this.#batch())
+      return this
+    })
+  }
+
+  /**
+   * @param {WildTrie} other
+   * @param {Function} resolve  - Resolves a conflicting state, @see merge
+   * @param {Array}    path     - The branch-path of the merged trie-node.
+   * @param {Map}      merged   - The trie-nodes that each trie-node of the other trie has been merged into.
+   * @param {Map}      copies   - The added trie-node of each trie-node of the other trie.
+   */
+  #merge(other, resolve, path, merged, copies)
+  {
+    const targets = merged.get(other) ?? new Set()
+    merged.set(other, targets)
+
+    if(targets.has(this))
+    {
+      return
+    }
+
+    targets.add(this)
+    other.#load()
+
+    this.state = WildTrie.#combine(resolve, this.#state, other.#state, path)
+
+    if(other.#denied)
+    {
+      this.#setDenied(true)
+    }
+
+    for(const [ branch, child ] of other.#branches)
+    {
+      const key = this.#key(branch)
+
+      if(false === this.#branches.has(key))
+      {
+        // A trie-node that is shared by the other trie is shared by the merged trie.
+        const copy = copies.get(child) ?? new this.constructor(undefined, this.config)
+        copies.set(child, copy)
+        this.#branch(key, copy)
+        this.#dispatch({ type: 'add', path: [ key ], node: copy, previousState: undefined })
+      }
+
+      this.#branches.get(key).#merge(child, resolve, [ ...path, key ], merged, copies)
+    }
+  }
+
+  /**
+   * Creates a new trie of the rules of both tries, @see merge
+   * @param {WildTrie} other
+   * @param {Object} [options] - @see merge
+   * @returns {WildTrie}
+   */
+  union(other, { onConflict } = {})
+  {
+    if(false === other instanceof WildTrie)
+    {
+      throw new TypeError('Expected the united trie to be an instance of WildTrie')
+    }
+
+    const 
+      resolve = WildTrie.#resolver(onConflict),
+      trie    = new this.constructor(undefined, this.config)
+
+    trie.#merge(this,  resolve, [], new Map(), new Map())
+    trie.#merge(other, resolve, [], new Map(), new Map())
+
+    return trie
+  }
+
+  /**
+   * Creates a new trie of the rules that both tries match, where a rule is the branch-path of a 
+   * trie-node that has a state, or no branches. The rules are intersected segment by segment, where a 
+   * wildcard intersects any single segment, and a globstar any number of segments, so that the 
+   * intersection of `a/*\/read` and `a/x/**` is `a/x/read`. Two different patterns of a segment, such 
+   * as two regular expressions, intersect only if one of them covers the other. The deny rules of both
+   * tries are included.
+   * 
+   * The state of an intersected rule is resolved as a conflict, if both rules have a state, @see merge
+   * 
+   * @example
+   * const a = new WildTrie(), b = new WildTrie()
+   * a.add('a', '*', 'read')
+   * b.add('a', 'x', '**')
+   * const c = a.intersection(b)
+   * c.has('a', 'x', 'read') // true
+   * c.has('a', 'y', 'read') // false
+   * 
+   * @param {WildTrie} other
+   * @param {Object} [options] - @see merge
+   * @returns {WildTrie}
+   */
+  intersection(other, { onConflict } = {})
+  {
+    if(false === other instanceof WildTrie)
+    {
+      throw new TypeError('Expected the intersected trie to be an instance of WildTrie')
+    }
+
+    const 
+      resolve = WildTrie.#resolver(onConflict),
+      trie    = new this.constructor(undefined, this.config),
+      overlap = this.#overlapping(other)
+
+    for(const [ rule, node, deny ] of this.#rules([], new Set([ this ]), false))
+    {
+      if(deny)
+      {
+        trie.#rule(rule, node.#state, node.#denied, resolve)
+        continue
+      }
+
+      for(const [ overlapping, path ] of overlap.get(node) ?? [])
+      {
+        for(const intersected of this.#meet(rule, path, 0, 0))
+        {
+          const state = WildTrie.#combine(resolve, node.#state, overlapping.#state, intersected)
+          trie.#rule(intersected, state, false, resolve)
+        }
+      }
+    }
+
+    for(const [ rule, node, deny ] of other.#rules([], new Set([ other ]), false))
+    {
+      if(deny)
+      {
+        trie.#rule(rule, node.#state, node.#denied, resolve)
+      }
+    }
+
+    return trie
+  }
+
+  /**
+   * Creates a new trie of the rules of the trie that the other trie does not match, @see intersection
+   * 
+   * A rule that is covered by a rule of the other trie is excluded, and a rule that partially overlaps 
+   * a rule of the other trie is included, with a deny rule of the intersection of the two rules, so that 
+   * the difference of `a/*` and `a/x` is `a/*` with the deny rule `!/a/x`. The deny rules of the trie are
+   * included, but not the deny rules of the other trie.
+   * 
+   * @example
+   * const a = new WildTrie(), b = new WildTrie()
+   * a.add('a', '*')
+   * b.add('a', 'x')
+   * const c = a.difference(b)
+   * c.has('a', 'y') // true
+   * c.has('a', 'x') // false
+   * 
+   * @param {WildTrie} other
+   * @returns {WildTrie}
+   * @throws {TypeError} - E_WILD_TRIE_CONFIG - If a rule partially overlaps, and the deny rules are 
+   *                       disabled by the configuration.
+   */
+  difference(other)
+  {
+    if(false === other instanceof WildTrie)
+    {
+      throw new TypeError('Expected the subtracted trie to be an instance of WildTrie')
+    }
+
+    const 
+      resolve = WildTrie.#resolver('keep'),
+      trie    = new this.constructor(undefined, this.config),
+      overlap = this.#overlapping(other)
+
+    for(const [ rule, node, deny ] of this.#rules([], new Set([ this ]), false))
+    {
+      const denials = []
+
+      for(const [ , path ] of deny ? [] : overlap.get(node) ?? [])
+      {
+        denials.push(...this.#meet(rule, path, 0, 0))
+      }
+
+      if(denials.some(denial => WildTrie.#samePath(denial, rule)))
+      {
+        continue
+      }
+
+      if(denials.length
+      && this.config.deny === null)
+      {
+        const error = new TypeError('Can not subtract a rule that partially overlaps')
+        error.code  = 'E_WILD_TRIE_CONFIG'
+        error.cause = 'The difference of a partially overlapping rule is a deny rule, that are disabled by the configuration'
+        throw error
+      }
+
+      trie.#rule(rule, node.#state, node.#denied, resolve)
+
+      for(const denial of denials)
+      {
+        trie.#rule([ this.config.deny, ...denial ], undefined, true, resolve)
+      }
+    }
+
+    return trie
+  }
+
+  /**
+   * Yields the rules of the trie, the branch-paths of the trie-nodes that has a state, or no branches, 
+   * or that are declared deny rules.
+   * @param {Array}   path
+   * @param {Set}     ancestors - Guards against walking a circular path.
+   * @param {boolean} deny      - If the branch-path is in a deny branch.
+   * @yields {[Array, WildTrie, boolean]} - The rule, the trie-node, and if it is a deny rule.
+   */
+  * #rules(path, ancestors, deny)
+  {
+    if(path.length
+    && this.#isRule())
+    {
+      yield [ path, this, deny ]
+    }
+
+    for(const [ branch, trie ] of this.#branches)
+    {
+      if(false === ancestors.has(trie))
+      {
+        ancestors.add(trie)
+        yield * trie.#rules([ ...path, branch ], ancestors, deny || this.#isDeny(branch))
+        ancestors.delete(trie)
+      }
+    }
+  }
+
+  /**
+   * Maps each rule of the trie to the rules of the other trie that overlap it, @see intersect.
+   * The overlaps are found in both directions, since a stored branch is only tested against the 
+   * segment of a pattern by the matcher of the stored branch.
+   * @param {WildTrie} other
+   * @returns {Map<WildTrie, Map<WildTrie, Array>>} - The trie-node, and the branch-path, of each overlapping rule.
+   */
+  #overlapping(other)
+  {
+    const overlapping = new Map()
+
+    for(const [ trie, against, reversed ] of [[ this, other, false ], [ other, this, true ]])
+    {
+      for(const [ rule, node, deny ] of trie.#rules([], new Set([ trie ]), false))
+      {
+        for(const [ path, overlap ] of deny ? [] : against.#overlaps(rule, 0, [], new Map()))
+        {
+          if(overlap.#isRule())
+          {
+            const [ key, overlapped, pattern ] = reversed ? [ overlap, node, rule ] : [ node, overlap, path ]
+
+            if(false === overlapping.has(key))
+            {
+              overlapping.set(key, new Map())
+            }
+
+            overlapping.get(key).set(overlapped, pattern)
+          }
+        }
+      }
+    }
+
+    return overlapping
+  }
+
+  #isRule()
+  {
+    return this.#state !== undefined
+        || this.#denied
+        || this.#branches.size === 0
+  }
+
+  /**
+   * Adds the rule to the trie, and merges the state and the deny rule of it.
+   * @param {Array}    rule
+   * @param {*}        state
+   * @param {boolean}  denied
+   * @param {Function} resolve - @see merge
+   */
+  #rule(rule, state, denied, resolve)
+  {
+    let trie = this
+
+    for(const branch of rule)
+    {
+      const key = trie.#key(branch)
+
+      if(false === trie.#branches.has(key))
+      {
+        trie.#branch(key, new trie.constructor(undefined, trie.config))
+      }
+
+      trie = trie.#branches.get(key)
+    }
+
+    trie.#state   = WildTrie.#combine(resolve, trie.#state, state, rule)
+    trie.#denied ||= denied
+  }
+
+  /**
+   * Yields the intersections of two patterns, where a wildcard intersects any single segment, and a 
+   * globstar any number of segments, @see intersection
+   * @param {Array}  a
+   * @param {Array}  b
+   * @param {number} i - The index of the segment of the first pattern.
+   * @param {number} j - The index of the segment of the second pattern.
+   * @yields {Array}
+   */
+  * #meet(a, b, i, j)
+  {
+    const 
+      globstar  = this.config.globstar,
+      prepend   = (segment, rest) => globstar === segment && globstar === rest[0] ? rest : [ segment, ...rest ]
+
+    if(i === a.length
+    && j === b.length)
+    {
+      yield []
+    }
+    else if(globstar === a[i]
+         && globstar === b[j])
+    {
+      for(const [ k, l ] of [[ i + 1, j + 1 ], [ i + 1, j ], [ i, j + 1 ]])
+      {
+        for(const rest of this.#meet(a, b, k, l))
+        {
+          yield prepend(globstar, rest)
+        }
+      }
+    }
+    else if(globstar === a[i])
+    {
+      yield * this.#meet(a, b, i + 1, j)
+
+      if(j < b.length)
+      {
+        for(const rest of this.#meet(a, b, i, j + 1))
+        {
+          yield prepend(b[j], rest)
+        }
+      }
+    }
+    else if(globstar === b[j])
+    {
+      yield * this.#meet(a, b, i, j + 1)
+
+      if(i < a.length)
+      {
+        for(const rest of this.#meet(a, b, i + 1, j))
+        {
+          yield prepend(a[i], rest)
+        }
+      }
+    }
+    else if(i < a.length
+         && j < b.length)
+    {
+      const segment = this.#meetBranch(a[i], b[j])
+
+      if(segment !== undefined)
+      {
+        for(const rest of this.#meet(a, b, i + 1, j + 1))
+        {
+          yield prepend(segment, rest)
+        }
+      }
+    }
+  }
+
+  /**
+   * Intersects two single segments, that are tested by their matchers, without indexing them.
+   * @param {*} a
+   * @param {*} b
+   * @returns {*} - The intersected segment, or undefined if it can not be determined.
+   */
+  #meetBranch(a, b)
+  {
+    if(a === b
+    || this.config.wildcard === b)
+    {
+      return a
+    }
+
+    if(this.config.wildcard === a)
+    {
+      return b
+    }
+
+    if(this.#coversBranch(a, b))
+    {
+      return b
+    }
+
+    if(this.#coversBranch(b, a))
+    {
+      return a
+    }
+  }
+
+  static #resolver(onConflict = 'overwrite')
+  {
+    switch(onConflict)
+    {
+      case 'overwrite'  : return (state, otherState) => otherState
+      case 'keep'       : return (state) => state
+      default:
+      {
+        if(typeof onConflict === 'function')
+        {
+          return onConflict
+        }
+
+        const error = new TypeError('Invalid conflict strategy')
+        error.code  = 'E_WILD_TRIE_MERGE_STRATEGY'
+        error.cause = `Expected the onConflict option to be "overwrite", "keep" or a function, but received: ${String(onConflict)}`
+        throw error
+      }
+    }
+  }
+
+  static #combine(resolve, state, otherState, path)
+  {
+    if(state === undefined)
+    {
+      return otherState
+    }
+
+    if(otherState === undefined
+    || util.isDeepStrictEqual(state, otherState))
+    {
+      return state
+    }
+
+    return resolve(state, otherState, path)
+  }
+
+  /**
+   * Sets the trie-node of a direct branch, and indexes the branch if it is matched by other means 
+   * than equality, such as a named parameter, a regular expression, a predicate or a glob.
+   * @param {*} branch
+   * @param {WildTrie} trie
+   */
+  #branch(branch, trie)
+  {
+    const replaced = this.#branches.get(branch)
+
+    if(replaced !== trie)
+    {
+      replaced?.#unlink(this, branch)
+      trie.#link(this, branch)
+    }
+
+    this.#own().set(branch, trie)
+    this.#touch()
+
+    // A trie-node that is attached to a persistent trie is persisted by the same journal.
+    if(this.#journal !== undefined
+    && this.#journal !== trie.#journal)
+    {
+      trie.#attach(this.#journal)
+    }
+
+    this.#match(branch, this.#matcher(branch))
+  }
+
+  /**
+   * @returns {Map} - The branches of the trie-node, that are set.
+   */
+  #own()
+  {
+    if(this.#branches === WildTrie.#empty)
+    {
+      this.#branches = new Map()
+    }
+
+    return this.#branches
+  }
+
+  #match(branch, matcher)
+  {
+    if(matcher !== undefined)
+    {
+      if(this.#matchers === WildTrie.#empty)
+      {
+        this.#matchers = new Map()
+      }
+
+      this.#matchers.set(branch, matcher)
+    }
+  }
+
+  /**
+   * Resolves the matcher of a branch that is matched by other means than equality, `null` for a named 
+   * parameter, or undefined if the branch is only matched by equality, @see #branch
+   * @param {*} branch
+   * @returns {RegExp|Function|null|undefined}
+   */
+  #matcher(branch)
+  {
+    if(this.#isParam(branch))
+    {
+      return null
+    }
+
+    if(this.#isPattern(branch))
+    {
+      return branch
+    }
+
+    if(this.#isGlob(branch))
+    {
+      return this.#glob(branch)
+    }
+  }
+
+  /**
+   * Resolves the branch-key of a branch, so that an equal regular expression resolves to the
+   * already defined regular expression branch.
+   * @param {*} branch
+   * @returns {*}
+   */
+  #key(branch)
+  {
+    if(branch instanceof RegExp)
+    {
+      for(const matcher of this.#matchers.keys())
+      {
+        if(matcher instanceof RegExp
+        && matcher.source === branch.source
+        && matcher.flags  === branch.flags)
+        {
+          return matcher
+        }
+      }
+    }
+
+    return branch
+  }
+
+  #isPattern(branch)
+  {
+    return branch instanceof RegExp
+        || typeof branch === 'function'
+  }
+
+  /**
+   * A glob is a segment that includes the wildcard, but is not only the wildcard or the globstar, 
+   * where each wildcard in the segment matches any number of characters.
+   * @param {*} segment
+   * @returns {boolean}
+   */
+  #isGlob(segment)
+  {
+    return typeof this.config.wildcard === 'string'
+        && typeof segment === 'string'
+        && segment !== this.config.wildcard
+        && segment !== this.config.globstar
+        && false === segment.startsWith(this.config.escape)
+        && segment.includes(this.config.wildcard)
+  }
+
+  #glob(segment)
+  {
+    const source = segment
+      .split(this.config.wildcard)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')
+
+    return new RegExp(`^${source}$`, 's')
+  }
+
+  /**
+   * Expands the brace alternations of a segment, for example `{read,update}` expands to the
+   * alternatives `read` and `update`. Alternations can be nested, and a segment can include
+   * several alternations, for example `{get,set}-{a,b}`.
+   * @param {*} segment
+   * @returns {Array} - The alternatives, or only the provided segment if it has no alternation.
+   */
+  #expand(segment)
+  {
+    if(typeof segment !== 'string'
+    || segment.startsWith(this.config.escape))
+    {
+      return [ segment ]
+    }
+
+    for(let open = segment.indexOf('{'); open >= 0; open = segment.indexOf('{', open + 1))
+    {
+      const commas = []
+
+      for(let i = open + 1, depth = 0; i < segment.length; i++)
+      {
+        const char = segment[i]
+
+        if(char === '{')
+        {
+          depth++
+        }
+        else if(char === ',' && depth === 0)
+        {
+          commas.push(i)
+        }
+        else if(char === '}' && depth-- === 0)
+        {
+          if(commas.length === 0)
+          {
+            break
+          }
+
+          const
+            prefix  = segment.slice(0, open),
+            suffix  = segment.slice(i + 1),
+            bounds  = [ open, ...commas, i ],
+            parts   = bounds.slice(1).map((bound, n) => segment.slice(bounds[n] + 1, bound))
+
+          return parts.flatMap(part => this.#expand(prefix + part + suffix))
+        }
+      }
+    }
+
+    return [ segment ]
+  }
+
+  #isParam(branch)
+  {
+    return typeof this.config.param === 'string'
+        && typeof branch === 'string'
+        && branch.length > this.config.param.length
+        && branch.startsWith(this.config.param)
+  }
+
+  /**
+   * Returns the size of the branches trie map, the branches of a lazy trie-node that is not loaded are 
+   * not counted, @see setLazy
+   * @returns {number} - The number of branches in the trie.
+   */
+  get size()
+  {
+    let size = 0
+
+    for(const [ , descendant ] of this.#descendants(new WeakSet(), this))
+    {
+      // A circular path back to the trie-node does not make it a descendant of itself.
+      if(descendant !== this)
+      {
+        size++
+      }
+    }
+
+    return size
+  }
+
+  /**
+   * Returns a lossless JSON representation of the trie structure, including all branches, and the 
+   * state of every trie-node, that can be rebuilt by @see WildTrie.fromJSON
+   * 
+   * Each trie-node is represented by an object, with the state of the trie-node, if defined, if the
+   * trie-node is the end of a deny rule, and the branches of the trie-node, if any, as an array of 
+   * tuples of the branch and its trie-node, in the order the branches were defined. A regular
+   * expression branch is represented by an object with the `regexp` source and the `flags` of the
+   * regular expression.
+   * 
+   * @example
+   * {
+   *   "state"    : "root state",
+   *   "branches" : 
+   *   [
+   *     [ "users", { "state": "allow", "branches": [ [ "read", {} ] ] } ],
+   *     [ { "regexp": "\\.json$", "flags": "" }, {} ]
+   *   ]
+   * }
+   * 
+   * A trie-node that is referenced by multiple branches is by default serialized once for each branch.
+   * With the `references` option, a shared trie-node is serialized once with an `id`, and each other 
+   * branch to it is serialized as a `{ "$ref": id }` pointer to it. A branch of a cyclic trie that leads
+   * back to an ancestor is always serialized as a pointer.
+   * 
+   * When called by `JSON.stringify`, such as when logging the trie, a branch that can not be serialized,
+   * such as a predicate, is serialized as `{ "unserializable": description }` instead of throwing, which 
+   * is not rebuilt by @see WildTrie.fromJSON
+   * 
+   * @param {number|Object} [options]   - The depth, or the options of the serialization.
+   * @param {number} [options.depth=Infinity] - The depth to which the branches of the trie should be serialized.
+   * @param {boolean} [options.references=false] - If shared trie-nodes should be serialized as references.
+   * @typedef {Object} WildTrieJSON     - Serialized representation of the WildTrie.
+   * @property {number} [id]            - The id of a shared trie-node.
+   * @property {number} [$ref]          - The id of the shared trie-node that the trie-node refers to.
+   * @property {*} [state]              - The state of the trie-node.
+   * @property {boolean} [denied]       - If the trie-node is the end of a deny rule.
+   * @property {Array<[*, WildTrieJSON]>} [branches] - The branches of the trie-node.
+   * @returns {WildTrieJSON}
+   * @throws {TypeError} - E_WILD_TRIE_SERIALIZE - If a branch can not be serialized, such as a predicate.
+   */
+  toJSON(options)
+  {
+    // JSON.stringify provides the property key as the argument.
+    const
+      { depth = Infinity, references = false } = typeof options === 'number'
+        ? { depth:options }
+        : typeof options === 'object' && options !== null
+          ? options
+          : {},
+      shared = references
+        ? this.#shared(depth)
+        : new Set,
+      strict = typeof options !== 'string'
+
+    // A circular branch is always serialized as a reference.
+    if(this.config.cyclic)
+    {
+      this.#circular(new Set, new Set, shared)
+    }
+
+    return this.#serialize(depth, shared, new Map, strict)
+  }
+
+  /**
+   * @param {number}  depth
+   * @param {Set}     shared  - The trie-nodes that are serialized once, and referenced by each other branch.
+   * @param {Map}     ids     - The id of each serialized shared trie-node.
+   * @param {boolean} [strict=true] - If an unserializable branch throws, else it is described.
+   * @returns {WildTrieJSON}
+   */
+  #serialize(depth, shared, ids, strict = true)
+  {
+    if(ids.has(this))
+    {
+      return { $ref: ids.get(this) }
+    }
+
+    const json = {}
+
+    if(shared.has(this))
+    {
+      json.id = ids.size + 1
+      ids.set(this, json.id)
+    }
+
+    if(this.state !== undefined)
+    {
+      json.state = this.state
+    }
+
+    if(this.#denied)
+    {
+      json.denied = true
+    }
+
+    if(this.#branches.size && depth > 0)
+    {
+      json.branches = []
+
+      for(const [ branch, trie ] of this.#branches)
+      {
+        json.branches.push([ this.#serializeBranch(branch, strict), trie.#serialize(depth - 1, shared, ids, strict) ])
+      }
+    }
+
+    return json
+  }
+
+  /**
+   * Resolves the trie-nodes that are reached by more than one branch within the depth.
+   * @param {number} depth
+   * @param {Map<WildTrie, number>} [visits]
+   * @returns {Set<WildTrie>}
+   */
+  #shared(depth, visits = new Map)
+  {
+    if(depth > 0)
+    {
+      for(const trie of this.#branches.values())
+      {
+        const count = (visits.get(trie) ?? 0) + 1
+        visits.set(trie, count)
+
+        if(count === 1)
+        {
+          trie.#shared(depth - 1, visits)
+        }
+      }
+    }
+
+    return new Set([ ...visits ].filter(([, count ]) => count > 1).map(([ trie ]) => trie))
+  }
+
+  /**
+   * Resolves the trie-nodes that a branch of a descendant leads back to, depth first.
+   * @param {Set<WildTrie>} ancestors
+   * @param {Set<WildTrie>} visited
+   * @param {Set<WildTrie>} circular
+   * @returns {Set<WildTrie>}
+   */
+  #circular(ancestors, visited, circular)
+  {
+    ancestors.add(this)
+    visited.add(this)
+
+    for(const trie of this.#branches.values())
+    {
+      if(ancestors.has(trie))
+      {
+        circular.add(trie)
+      }
+      else if(false === visited.has(trie))
+      {
+        trie.#circular(ancestors, visited, circular)
+      }
+    }
+
+    ancestors.delete(this)
+    return circular
+  }
+
+  #serializeBranch(branch, strict = true)
+  {
+    if(branch instanceof RegExp)
+    {
+      return { regexp: branch.source, flags: branch.flags }
+    }
+
+    if(typeof branch === 'function'
+    || typeof branch === 'symbol'
+    ||(typeof branch === 'object' && branch !== null))
+    {
+      if(false === strict)
+      {
+        return { unserializable: typeof branch === 'object' ? Object.prototype.toString.call(branch) : branch.toString() }
+      }
+
+      const error = new TypeError('Can not serialize the branch')
+      error.code  = 'E_WILD_TRIE_SERIALIZE'
+      error.cause = `Expected the branch to be a primitive or a regular expression, but received: ${Object.prototype.toString.call(branch)}`
+      throw error
+    }
+
+    return branch
+  }
+
+  /**
+   * A factory method to rebuild a `WildTrie` instance from the lossless JSON representation of a trie, 
+   * @see WildTrie.prototype.toJSON
+   * @param {WildTrieJSON|string} json  - The JSON representation, or the JSON encoded string of it.
+   * @param {Object} [config]           - @see constructor
+   * @returns {WildTrie}
+   * @throws {TypeError} - E_WILD_TRIE_INVALID_JSON - If the JSON representation is not valid.
+   */
+  static fromJSON(json, config)
+  {
+    if(typeof json === 'string')
+    {
+      json = JSON.parse(json)
+    }
+
+    const 
+      trie = new this(undefined, config),
+      refs = new Map()
+
+    // The root is referenced by a circular branch of a cyclic trie.
+    if(Object.prototype.toString.call(json) === '[object Object]'
+    && 'id' in json)
+    {
+      refs.set(json.id, trie)
+    }
+
+    trie.#deserialize(json, refs, new Set)
+    return trie
+  }
+
+  #deserialize(json, refs, ancestors)
+  {
+    if(Object.prototype.toString.call(json) !== '[object Object]'
+    ||('branches' in json && false === Array.isArray(json.branches)))
+    {
+      const error = new TypeError('Invalid JSON representation of a trie-node')
+      error.code  = 'E_WILD_TRIE_INVALID_JSON'
+      error.cause = 'Expected an object, with an optional state, and an optional array of branches'
+      throw error
+    }
+
+    if('state' in json)
+    {
+      this.state = json.state
+    }
+
+    this.#denied = json.denied === true
+
+    for(const entry of json.branches ?? [])
+    {
+      if(false === Array.isArray(entry)
+      || entry.length !== 2)
+      {
+        const error = new TypeError('Invalid JSON representation of a branch')
+        error.code  = 'E_WILD_TRIE_INVALID_JSON'
+        error.cause = 'Expected each branch to be a tuple of the branch and its trie-node'
+        throw error
+      }
+
+      const 
+        [ branch, node ]  = entry,
+        trie              = this.#deserializeNode(node, refs, new Set([ ...ancestors, this ]))
+
+      this.#branch(this.#deserializeBranch(branch), trie)
+    }
+  }
+
+  #deserializeNode(node, refs, ancestors)
+  {
+    if(node !== null
+    && typeof node === 'object'
+    && '$ref' in node)
+    {
+      if(false === refs.has(node.$ref))
+      {
+        const error = new TypeError('Invalid JSON reference of a trie-node')
+        error.code  = 'E_WILD_TRIE_INVALID_JSON'
+        error.cause = `Expected the reference "${node.$ref}" to refer to a previously serialized trie-node`
+        throw error
+      }
+
+      if(false === this.config.cyclic
+      && ancestors.has(refs.get(node.$ref)))
+      {
+        const error = new ReferenceError('Can not reference a trie-node that creates a circular path')
+        error.code  = 'E_WILD_TRIE_CIRCULAR_REFERENCE'
+        error.cause = `The reference "${node.$ref}" is an ancestor, and the trie is not configured to be cyclic`
+        throw error
+      }
+
+      return refs.get(node.$ref)
+    }
+
+    const trie = new this.constructor(undefined, this.config)
+
+    if(node !== null
+    && typeof node === 'object'
+    && 'id' in node)
+    {
+      if(refs.has(node.id))
+      {
+        const error = new TypeError('Invalid JSON identifier of a trie-node')
+        error.code  = 'E_WILD_TRIE_INVALID_JSON'
+        error.cause = `Expected the id "${node.id}" to be unique`
+        throw error
+      }
+
+      refs.set(node.id, trie)
+    }
+
+    trie.#deserialize(node, refs, ancestors)
+    return trie
+  }
+
+  #deserializeBranch(branch)
+  {
+    if(Object.prototype.toString.call(branch) === '[object Object]'
+    && typeof branch.regexp === 'string')
+    {
+      return this.#key(new RegExp(branch.regexp, branch.flags))
+    }
+
+    if(Object.prototype.toString.call(branch) === '[object Object]'
+    && 'unserializable' in branch)
+    {
+      const error = new TypeError('Invalid JSON representation of a branch')
+      error.code  = 'E_WILD_TRIE_INVALID_JSON'
+      error.cause = `The branch could not be serialized, and can not be rebuilt: ${branch.unserializable}`
+      throw error
+    }
+
+    return branch
+  }
+
+  static BUFFER_VERSION = 1
+
+  /**
+   * Returns a compact binary representation of the trie structure, that can be rebuilt by 
+   * @see WildTrie.fromBuffer
+   * 
+   * The format starts with a header of the `WTRI` magic bytes, the format version, and a checksum of 
+   * the rest of the buffer, followed by:
+   * 
+   * - The string table, the interned strings of the branches, as the number of strings, the byte
+   *   length of the UTF-8 encoded strings, the character length of each string, and the UTF-8 encoded
+   *   strings.
+   * - The value table, the interned states, and branches that are not strings, as the byte length of
+   *   a UTF-8 encoded JSON array of the values, and the JSON array.
+   * - The number of trie-nodes, and the offset of each trie-node from the start of the trie-nodes.
+   * - The trie-nodes, each with flags of the state and the deny rule, the value index of the state,
+   *   and the branches, each with the kind of the branch, the string or value index of it, and the 
+   *   index of its trie-node.
+   * 
+   * Each trie-node is written once, children before their parents, which preserves the shared 
+   * trie-nodes, and the root last. The checksum and the offsets are unsigned 32 bit little endian 
+   * integers, other integers are unsigned LEB128 variable length integers.
+   * 
+   * @returns {Buffer}
+   * @throws {TypeError} - E_WILD_TRIE_SERIALIZE - If a branch can not be serialized, such as a predicate.
+   */
+  toBuffer()
+  {
+    const 
+      nodes   = this.#postorder(),
+      index   = new Map(nodes.map((trie, i) => [ trie, i ])),
+      strings = new Map(),
+      values  = new Map(),
+      intern  = (table, key) => table.has(key) ? table.get(key) : table.set(key, table.size).get(key),
+      records = new BufferWriter(),
+      offsets = []
+
+    for(const trie of nodes)
+    {
+      offsets.push(records.length)
+      records.uint8((trie.state === undefined ? 0 : 1) | (trie.#denied ? 2 : 0))
+
+      if(trie.state !== undefined)
+      {
+        records.varint(intern(values, WildTrie.#stringifyState(trie.state)))
+      }
+
+      records.varint(trie.#branches.size)
+
+      for(const [ branch, child ] of trie.#branches)
+      {
+        const serialized = trie.#serializeBranch(branch)
+
+        if(typeof serialized === 'string')
+        {
+          records.uint8(0)
+          records.varint(intern(strings, serialized))
+        }
+        else if(branch instanceof RegExp)
+        {
+          records.uint8(1)
+          records.varint(intern(strings, serialized.regexp))
+          records.varint(intern(strings, serialized.flags))
+        }
+        else
+        {
+          records.uint8(2)
+          records.varint(intern(values, JSON.stringify(serialized)))
+        }
+
+        records.varint(index.get(child))
+      }
+    }
+
+    const 
+      text    = Buffer.from([ ...strings.keys() ].join(''), 'utf8'),
+      json    = Buffer.from(`[${[ ...values.keys() ].join(',')}]`, 'utf8'),
+      writer  = new BufferWriter(9 + text.length + json.length + 4 * offsets.length + records.length + 32)
+
+    writer.bytes(Buffer.from('WTRI', 'latin1'))
+    writer.uint8(WildTrie.BUFFER_VERSION)
+    writer.uint32(0) // checksum
+    writer.varint(strings.size)
+    writer.varint(text.length)
+
+    for(const string of strings.keys())
+    {
+      writer.varint(string.length)
+    }
+
+    writer.bytes(text)
+    writer.varint(json.length)
+    writer.bytes(json)
+    writer.varint(offsets.length)
+
+    for(const offset of offsets)
+    {
+      writer.uint32(offset)
+    }
+
+    writer.bytes(records.buffer.subarray(0, records.length))
+
+    const buffer = writer.buffer.subarray(0, writer.length)
+    buffer.writeUInt32LE(WildTrie.#checksum(buffer, 9), 5)
+    return buffer
+  }
+
+  /**
+   * @param {*} state
+   * @returns {string} - The JSON of the state, @see toBuffer
+   * @throws {TypeError} - E_WILD_TRIE_SERIALIZE - If the state can not be serialized to JSON.
+   */
+  static #stringifyState(state)
+  {
+    let json
+
+    try
+    {
+      json = JSON.stringify(state)
+    }
+    catch(reason)
+    {
+      json = reason
+    }
+
+    if(typeof json !== 'string')
+    {
+      const error = new TypeError('Can not serialize the state of a trie-node to the binary format')
+      error.code  = 'E_WILD_TRIE_SERIALIZE'
+      error.cause = json instanceof Error 
+                  ? json.message 
+                  : `Expected the state to be serializable to JSON, but received: ${typeof state}`
+      throw error
+    }
+
+    return json
+  }
+
+  /**
+   * Resolves the trie-nodes in post-order, each trie-node once, children before their parents, 
+   * without recursion, to support deep tries.
+   * @returns {Array<WildTrie>}
+   */
+  #postorder()
+  {
+    const 
+      nodes   = [],
+      done    = new Set(),
+      active  = new Set([ this ]),
+      stack   = [[ this, this.#branches.values() ]]
+
+    while(stack.length)
+    {
+      const 
+        [ trie, children ]  = stack[stack.length - 1],
+        next                = children.next()
+
+      if(next.done)
+      {
+        stack.pop()
+        active.delete(trie)
+        done.add(trie)
+        nodes.push(trie)
+      }
+      else if(active.has(next.value))
+      {
+        const error = new TypeError('Can not serialize a circular trie to the binary format')
+        error.code  = 'E_WILD_TRIE_SERIALIZE'
+        error.cause = 'The binary format writes the children before their parents, @see toJSON for a cyclic trie'
+        throw error
+      }
+      else if(false === done.has(next.value))
+      {
+        active.add(next.value)
+        stack.push([ next.value, next.value.#branches.values() ])
+      }
+    }
+
+    return nodes
+  }
+
+  /**
+   * FNV-1a 32 bit checksum of the bytes of the buffer from the start offset.
+   * @param {Uint8Array} buffer
+   * @param {number} start
+   * @returns {number}
+   */
+  static #checksum(buffer, start)
+  {
+    let hash = 0x811c9dc5
+
+    for(let i = start; i < buffer.length; i++)
+    {
+      hash ^= buffer[i]
+      hash  = Math.imul(hash, 0x01000193)
+    }
+
+    return hash >>> 0
+  }
+
+  /**
+   * A factory method to rebuild a `WildTrie` instance from the binary representation of a trie, 
+   * @see WildTrie.prototype.toBuffer
+   * @param {Buffer|Uint8Array} buffer  - The binary representation.
+   * @param {Object} [config]           - @see constructor
+   * @returns {WildTrie}
+   * @throws {TypeError} - E_WILD_TRIE_INVALID_BUFFER - If the buffer is corrupted, or of an unsupported version.
+   */
+  static fromBuffer(buffer, config)
+  {
+    if(false === buffer instanceof Uint8Array)
+    {
+      throw WildTrie.#bufferError(`Expected a Buffer or an Uint8Array, but received: ${Object.prototype.toString.call(buffer)}`)
+    }
+
+    const reader = new BufferReader(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), WildTrie.#bufferError)
+
+    if(reader.buffer.length < 9
+    || reader.buffer.toString('latin1', 0, 4) !== 'WTRI')
+    {
+      throw WildTrie.#bufferError('Expected the buffer to start with the "WTRI" magic bytes')
+    }
+
+    if(reader.buffer[4] !== WildTrie.BUFFER_VERSION)
+    {
+      throw WildTrie.#bufferError(`Expected the format version ${WildTrie.BUFFER_VERSION}, but received: ${reader.buffer[4]}`)
+    }
+
+    if(reader.buffer.readUInt32LE(5) !== WildTrie.#checksum(reader.buffer, 9))
+    {
+      throw WildTrie.#bufferError('The checksum does not match the content of the buffer')
+    }
+
+    try
+    {
+      reader.offset = 9
+      return this.#fromBuffer(reader, config)
+    }
+    catch(reason)
+    {
+      if(reason.code === 'E_WILD_TRIE_INVALID_BUFFER')
+      {
+        throw reason
+      }
+
+      throw WildTrie.#bufferError(`The buffer is corrupted: ${reason.message}`)
+    }
+  }
+
+  static #fromBuffer(reader, config)
+  {
+    const 
+      strings = new Array(reader.varint()),
+      size    = reader.varint(),
+      lengths = Array.from(strings, () => reader.varint()),
+      text    = reader.utf8(size)
+
+    for(let i = 0, position = 0; i < strings.length; i++)
+    {
+      strings[i] = text.slice(position, position += lengths[i])
+    }
+
+    const 
+      values  = JSON.parse(reader.utf8(reader.varint())),
+      string  = i => i < strings.length ? strings[i] : reader.fail(`Expected a string index less than ${strings.length}, but received: ${i}`),
+      value   = i => i < values.length  ? values[i]  : reader.fail(`Expected a value index less than ${values.length}, but received: ${i}`),
+      count   = reader.varint(),
+      offsets = Array.from({ length:count }, () => reader.uint32()),
+      nodes   = new Array(count),
+      start   = reader.offset,
+      // The matcher of each branch is resolved once, a glob is only tested, and can be shared.
+      matchers = new Map()
+
+    if(false === Array.isArray(values))
+    {
+      reader.fail('Expected the value table to be a JSON array')
+    }
+
+    if(count === 0)
+    {
+      reader.fail('Expected at least the root trie-node')
+    }
+
+    for(let i = 0; i < count; i++)
+    {
+      if(offsets[i] !== reader.offset - start)
+      {
+        reader.fail(`Expected the trie-node ${i} at offset ${offsets[i]}, but found it at offset: ${reader.offset - start}`)
+      }
+
+      const 
+        trie  = new this(undefined, config),
+        flags = reader.uint8()
+
+      config = trie.config
+
+      // The maps of the trie-node are built directly, a new trie-node has no listeners, snapshot or journal.
+      if(flags & 1)
+      {
+        trie.#state = value(reader.varint())
+      }
+
+      trie.#denied = Boolean(flags & 2)
+
+      for(let j = reader.varint(); j > 0; j--)
+      {
+        const kind = reader.uint8()
+        let branch
+
+        switch(kind)
+        {
+          case 0  : branch = string(reader.varint()); break
+          case 1  : branch = trie.#key(new RegExp(string(reader.varint()), string(reader.varint()))); break
+          case 2  : branch = value(reader.varint()); break
+          default : reader.fail(`Expected a branch kind of 0, 1 or 2, but received: ${kind}`)
+        }
+
+        const child = reader.varint()
+
+        // Children are written before their parents, which also guards against circular references.
+        if(child >= i)
+        {
+          reader.fail(`Expected the trie-node ${i} to refer to a previous trie-node, but received: ${child}`)
+        }
+
+        if(trie.#branches.has(branch))
+        {
+          reader.fail(`Expected each branch of the trie-node ${i} to be unique`)
+        }
+
+        if(false === matchers.has(branch))
+        {
+          matchers.set(branch, trie.#matcher(branch))
+        }
+
+        trie.#match(branch, matchers.get(branch))
+        trie.#own().set(branch, nodes[child])
+        nodes[child].#link(trie, branch)
+      }
+
+      nodes[i] = trie
+    }
+
+    if(reader.offset !== reader.buffer.length)
+    {
+      reader.fail(`Expected the buffer to end at offset ${reader.offset}, but received a buffer of length: ${reader.buffer.length}`)
+    }
+
+    return nodes[count - 1]
+  }
+
+  static #bufferError(cause)
+  {
+    const error = new TypeError('Invalid binary representation of a trie')
+    error.code  = 'E_WILD_TRIE_INVALID_BUFFER'
+    error.cause = cause
+    return error
+  }
+
+  /**
+   * A factory method to create a `WildTrie` instance from a text of rules, one rule per line.
+   * 
+   * - A rule is a branch-path, where each segment is separated by the separator, optionally followed 
+   *   by `=` and the state of the trie-node at the branch-path as a JSON literal.
+   * - A rule without a branch-path defines the state of the root trie-node.
+   * - A rule that starts with the deny branch is declared as a deny rule, @see deny
+   * - A `@ref` line references the trie-node at the branch-path after the `=`, from the branch-path
+   *   before it, @see set
+   * - A line that starts with `#` is a comment, and is ignored, as are empty lines.
+   * 
+   * The separator, a `=`, and a backslash in a segment are escaped by a backslash in front of it, as 
+   * is a `#` or a `@` at the start of a segment. A backslash in front of any other character is 
+   * preserved as is.
+   * 
+   * @example
+   * # Roles
+   * group/creator/**\/create
+   * group/editor/**\/update = "allow"
+   * group/reader/**\/read
+   * @ref group/creator/editor = group/editor
+   * 
+   * @param {string} text               - The text of rules.
+   * @param {string} [separator='/']    - The separator of the segments in the branch-paths.
+   * @param {Object} [config]           - @see constructor
+   * @returns {WildTrie}
+   * @throws {SyntaxError} - E_WILD_TRIE_PARSE - If a line is not valid, with the `line` and `column` of it.
+   */
+  static parse(text, separator = '/', config)
+  {
+    if(typeof text !== 'string')
+    {
+      throw new TypeError(`Expected the text to be a string, but received: ${typeof text}`)
+    }
+
+    if(typeof separator !== 'string' || separator === '')
+    {
+      throw new TypeError(`Expected a non empty string separator, but received: ${typeof separator}`)
+    }
+
+    const 
+      trie  = new this(undefined, config),
+      lines = text.split(/\r?\n/)
+
+    for(let i = 0; i < lines.length; i++)
+    {
+      trie.#parseLine(lines[i], i + 1, separator)
+    }
+
+    return trie
+  }
+
+  #parseLine(line, number, separator)
+  {
+    const 
+      indent  = line.length - line.trimStart().length,
+      rule    = line.trim()
+
+    if(rule === ''
+    || rule.startsWith('#'))
+    {
+      return
+    }
+
+    const 
+      reference = rule.startsWith('@ref ') || rule === '@ref',
+      offset    = indent + (reference ? 4 : 0)
+
+    if(false === reference
+    && rule.startsWith('@'))
+    {
+      throw WildTrie.#parseError('Unknown directive', number, indent + 1, `Expected "@ref", or an escaped "\\@" branch, but received: ${rule.split(/\s/)[0]}`)
+    }
+
+    const 
+      body      = reference ? rule.slice(4) : rule,
+      assign    = WildTrie.#assignment(body),
+      pathText  = (assign === -1 ? body : body.slice(0, assign)).trim(),
+      valueText = assign === -1 ? undefined : body.slice(assign + 1).trim(),
+      path      = pathText === '' ? [] : WildTrie.#split(pathText, separator, [ '=', '#', '@' ]),
+      column    = offset + assign + 2 + (assign === -1 ? 0 : body.slice(assign + 1).length - body.slice(assign + 1).trimStart().length)
+
+    if(reference)
+    {
+      if(path.length === 0
+      || valueText === undefined
+      || valueText === '')
+      {
+        throw WildTrie.#parseError('Invalid reference', number, offset + 1, 'Expected a reference of the form "@ref <branch-path> = <branch-path>"')
+      }
+
+      const target = this.get(...WildTrie.#split(valueText, separator, [ '=', '#', '@' ]))
+
+      if(target === undefined)
+      {
+        throw WildTrie.#parseError('Invalid reference', number, column, `Expected the referenced branch-path "${valueText}" to be previously defined`)
+      }
+
+      try
+      {
+        this.set(...path, target)
+      }
+      catch(reason)
+      {
+        throw WildTrie.#parseError('Invalid reference', number, offset + 1, reason.message)
+      }
+
+      return
+    }
+
+    let state
+
+    if(valueText !== undefined)
+    {
+      try
+      {
+        state = JSON.parse(valueText)
+      }
+      catch(reason)
+      {
+        const position = Number(/position (\d+)/.exec(reason.message)?.[1] ?? 0)
+        throw WildTrie.#parseError('Invalid state', number, column + position, `Expected the state to be a JSON literal: ${reason.message}`)
+      }
+    }
+
+    const trie = path.length === 0
+      ? this
+      : this.config.deny !== null && path[0] === this.config.deny
+        ? this.deny(...path.slice(1))
+        : this.add(...path)
+
+    if(valueText !== undefined)
+    {
+      trie.state = state
+    }
+  }
+
+  /**
+   * Resolves the index of the first unescaped `=` in the rule, or -1 if none.
+   * @param {string} rule
+   * @returns {number}
+   */
+  static #assignment(rule)
+  {
+    for(let i = 0; i < rule.length; i++)
+    {
+      if(rule[i] === '\\')
+      {
+        i++
+      }
+      else if(rule[i] === '=')
+      {
+        return i
+      }
+    }
+
+    return -1
+  }
+
+  static #parseError(message, line, column, cause)
+  {
+    const error   = new SyntaxError(`${message} at line ${line}, column ${column}`)
+    error.code    = 'E_WILD_TRIE_PARSE'
+    error.cause   = cause
+    error.line    = line
+    error.column  = column
+    return error
+  }
+
+  /**
+   * Returns the text of rules that defines the trie structure, @see WildTrie.parse
+   * 
+   * Each trie-node that has a state, or that has no branches, is written as a rule. A shared trie-node
+   * is written once, by the first branch-path that leads to it, and is referenced by a `@ref` line from 
+   * each other branch-path.
+   * 
+   * @param {string} [separator='/'] - The separator of the segments in the branch-paths.
+   * @returns {string}
+   * @throws {TypeError} - E_WILD_TRIE_SERIALIZE - If a branch can not be written, such as a predicate.
+   */
+  stringify(separator = '/')
+  {
+    if(typeof separator !== 'string' || separator === '')
+    {
+      throw new TypeError(`Expected a non empty string separator, but received: ${typeof separator}`)
+    }
+
+    const lines = []
+
+    if(this.state !== undefined)
+    {
+      lines.push(`= ${JSON.stringify(this.state)}`)
+    }
+
+    for(const line of this.#stringify([], new Map([[ this, '' ]]), separator))
+    {
+      lines.push(line)
+    }
+
+    return lines.join('\n')
+  }
+
+  * #stringify(path, written, separator)
+  {
+    for(const [ branch, trie ] of this.#branches)
+    {
+      const 
+        segments = [ ...path, this.#stringifyBranch(branch, separator) ],
+        rule     = segments.join(separator)
+
+      if(written.has(trie))
+      {
+        yield `@ref ${rule} = ${written.get(trie)}`
+        continue
+      }
+
+      written.set(trie, rule)
+
+      if(trie.state !== undefined)
+      {
+        yield `${rule} = ${JSON.stringify(trie.state)}`
+      }
+      else if(trie.#branches.size === 0
+      ||      trie.#denied)
+      {
+        yield rule
+      }
+
+      yield * trie.#stringify(segments, written, separator)
+    }
+  }
+
+  #stringifyBranch(branch, separator)
+  {
+    const segment = this.#deflateBranch(branch, separator).replaceAll('=', '\\=')
+
+    return segment.startsWith('#') || segment.startsWith('@')
+      ? '\\' + segment
+      : segment
+  }
+
+  /**
+   * Returns a string representation of the trie structure.
+   * @param {number} [depth=Infinity] - The depth to which the trie should be serialized.
+   * @param {Function} [stylize]      - A function to stylize the output string.
+   * @returns {string}                - A string representation of the trie structure.
+   */
+  toString(depth = Infinity, stylize)
+  {
+    return this.#toString(depth, stylize, new Set([ this ]))
+  }
+
+  /**
+   * @param {number}    depth
+   * @param {Function}  [stylize]
+   * @param {Set}       ancestors - A branch back to an ancestor is marked by `↻`, and not written again.
+   * @returns {string}
+   */
+  #toString(depth, stylize, ancestors)
+  {
+    let output = ''
+
+    const entries = [ ...this.#branches ]
+
+    for(let i = 0; i < entries.length; i++)
+    {
+      const [ branch, trie ] = entries[i]
+      const
+        isLast    = i === entries.length - 1,
+        prefix    = isLast ? '└─' : '├─',
+        circular  = ancestors.has(trie),
+        unloaded  = trie.#loader !== undefined || trie.#loading !== undefined,
+        subTrie   = depth > 1 && trie.#branches.size > 0 && false === circular,
+        tree      = subTrie
+                  ? trie.#toString(depth - 1, stylize, new Set([ ...ancestors, trie ])) 
+                  : circular ? '↻' : trie.#branches.size || unloaded ? '…' : '',
+        mapper    = line => line 
+                    ? (isLast || !subTrie 
+                      ? ' ' : '│') + (subTrie 
+                        ? '  ' : '') + line 
+                    : '',
+        indented  = tree.split('\n').map(mapper).join('\n'),
+        state     = trie.state !== undefined 
+                  ? ` : ${this.#stylize(trie.state, stylize)}` 
+                  : ''
+
+      output += `\n${prefix} ${this.#stylize(branch, stylize)}${state}${indented}`
+    }
+
+    return output
+  }
+
+  #stylize(input, stylize = s => s)
+  {
+    const type  = input === null 
+                ? 'null' 
+                : input instanceof Date 
+                ? 'date' 
+                : input instanceof RegExp 
+                ? 'regexp' 
+                : typeof input
+
+    return stylize(input, type)
+  }
+
+  /**
+   * Returns a Graphviz DOT representation of the trie structure. Each trie-node is drawn once, labeled
+   * by the branch it is first reached by, and its state. A wildcard branch is drawn as a diamond, and a 
+   * globstar branch as a hexagon. Each other branch to a shared trie-node is drawn as a dashed edge, 
+   * labeled by the branch.
+   * 
+   * @example
+   * digraph WildTrie {
+   *   n0 [label="WildTrie", shape=ellipse];
+   *   n1 [label="users", shape=box];
+   *   n2 [label="*\nallow", shape=diamond];
+   *   n0 -> n1;
+   *   n1 -> n2;
+   * }
+   * 
+   * @param {number} [depth=Infinity] - The depth to which the trie should be drawn.
+   * @returns {string}
+   */
+  toDot(depth = Infinity)
+  {
+    const 
+      { nodes, edges }  = this.#graph(depth),
+      quote             = label => `"${label.replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', '\\n')}"`,
+      shapes            = { root: 'ellipse', wildcard: 'diamond', globstar: 'hexagon', branch: 'box' },
+      lines             = []
+
+    for(const node of nodes)
+    {
+      lines.push(`  n${node.id} [label=${quote(node.label)}, shape=${shapes[node.type]}];`)
+    }
+
+    for(const edge of edges)
+    {
+      lines.push(edge.reference
+        ? `  n${edge.from} -> n${edge.to} [label=${quote(edge.label)}, style=dashed];`
+        : `  n${edge.from} -> n${edge.to};`)
+    }
+
+    return `digraph ${this.constructor.name} {\n${lines.join('\n')}\n}`
+  }
+
+  /**
+   * Returns a Mermaid flowchart representation of the trie structure, drawn as @see toDot, where a 
+   * wildcard branch is drawn as a rhombus, and a globstar branch as a hexagon.
+   * 
+   * @example
+   * flowchart TD
+   *   n0(["WildTrie"])
+   *   n1["users"]
+   *   n2{"*<br>allow"}
+   *   n0 --> n1
+   *   n1 --> n2
+   * 
+   * @param {number} [depth=Infinity] - The depth to which the trie should be drawn.
+   * @returns {string}
+   */
+  toMermaid(depth = Infinity)
+  {
+    const 
+      { nodes, edges }  = this.#graph(depth),
+      quote             = label => `"${label.replaceAll('"', '#quot;').replaceAll('\n', '<br>')}"`,
+      shapes            = { root: [ '([', '])' ], wildcard: [ '{', '}' ], globstar: [ '{{', '}}' ], branch: [ '[', ']' ] },
+      lines             = []
+
+    for(const node of nodes)
+    {
+      const [ open, close ] = shapes[node.type]
+      lines.push(`  n${node.id}${open}${quote(node.label)}${close}`)
+    }
+
+    for(const edge of edges)
+    {
+      lines.push(edge.reference
+        ? `  n${edge.from} -.->|${quote(edge.label)}| n${edge.to}`
+        : `  n${edge.from} --> n${edge.to}`)
+    }
+
+    return `flowchart TD\n${lines.join('\n')}`
+  }
+
+  /**
+   * Resolves the trie-nodes and the edges of the trie structure to draw, @see toDot
+   * The trie-nodes are resolved breadth first, to draw each trie-node at the least depth it is reached.
+   * @param {number} depth
+   * @returns {{ nodes: Array<Object>, edges: Array<Object> }}
+   */
+  #graph(depth)
+  {
+    const 
+      ids   = new Map([[ this, 0 ]]),
+      nodes = [{ id: 0, trie: this, type: 'root', label: this.constructor.name, depth: 0 }],
+      edges = []
+
+    for(const node of nodes)
+    {
+      if(node.trie.state !== undefined)
+      {
+        node.label += `\n${this.#stylize(node.trie.state)}`
+      }
+
+      if(node.depth >= depth)
+      {
+        if(node.trie.#branches.size)
+        {
+          node.label += ' …'
+        }
+
+        continue
+      }
+
+      for(const [ branch, trie ] of node.trie.#branches)
+      {
+        const 
+          label     = `${this.#stylize(branch)}`,
+          reference = ids.has(trie)
+
+        if(false === reference)
+        {
+          const type = branch === this.config.globstar
+            ? 'globstar'
+            : branch === this.config.wildcard
+              ? 'wildcard'
+              : 'branch'
+
+          ids.set(trie, nodes.length)
+          nodes.push({ id: nodes.length, trie, type, label, depth: node.depth + 1 })
+        }
+
+        edges.push({ from: node.id, to: ids.get(trie), label, reference })
+      }
+    }
+
+    return { nodes, edges }
+  }
+
+  /**
+   * A factory method to create a `WildTrie` instance from the tree format of @see toString
+   * 
+   * Each line of the tree is a branch, optionally followed by ` : ` and the state of the trie-node.
+   * The state is read back as the literal it was written as; `null`, `true` and `false`, a number, a 
+   * date, a regular expression, or a JSON quoted string, else as a string. The branches are read as 
+   * strings. A leading line that is not a branch, such as the class name written by `util.inspect`, 
+   * is ignored, as are ANSI color codes, the `…` of a truncated branch, and the `↻` of a circular branch,
+   * that is read as an empty branch.
+   * 
+   * @example
+   * const trie = WildTrie.fromTree(`
+   * ├─ users
+   * │  └─ read : allow
+   * └─ limit : 10`)
+   * trie.get('users', 'read').state // 'allow'
+   * trie.get('limit').state         // 10
+   * 
+   * @param {string} tree       - The tree format of a trie.
+   * @param {Object} [config]   - @see constructor
+   * @returns {WildTrie}
+   * @throws {SyntaxError} - E_WILD_TRIE_PARSE - If a line is not valid, with the `line` and `column` of it.
+   */
+  static fromTree(tree, config)
+  {
+    if(typeof tree !== 'string')
+    {
+      throw new TypeError(`Expected the tree to be a string, but received: ${typeof tree}`)
+    }
+
+    const 
+      trie  = new this(undefined, config),
+      stack = [ trie ],
+      lines = tree.replace(/\x1b\[[0-9;]*m/g, '').split(/\r?\n/)
+
+    for(let i = 0; i < lines.length; i++)
+    {
+      const line = lines[i]
+
+      if(line.trim() === '')
+      {
+        continue
+      }
+
+      const match = /^((?:│  |   )*)(?:├─|└─) (.*)$/.exec(line)
+
+      if(match === null)
+      {
+        // A leading header, such as the class name written by util.inspect.
+        if(stack.length === 1
+        && trie.#branches.size === 0)
+        {
+          continue
+        }
+
+        throw WildTrie.#parseError('Invalid branch', i + 1, 1, 'Expected the line to be a "├─" or a "└─" branch')
+      }
+
+      const 
+        [ , indent, text ]  = match,
+        depth               = indent.length / 3 + 1
+
+      if(depth > stack.length)
+      {
+        throw WildTrie.#parseError('Invalid indentation', i + 1, 1, `Expected a branch of at most depth ${stack.length}, but received a branch of depth ${depth}`)
+      }
+
+      const 
+        entry     = text.replace(/ […↻]$/, ''),
+        separator = entry.indexOf(' : '),
+        branch    = separator === -1 ? entry : entry.slice(0, separator),
+        node      = stack[depth - 1].add(branch)
+
+      if(separator !== -1)
+      {
+        node.state = WildTrie.#literal(entry.slice(separator + 3))
+      }
+
+      stack.length = depth
+      stack.push(node)
+    }
+
+    return trie
+  }
+
+  /**
+   * Reads a literal of the tree format, @see WildTrie.fromTree
+   * @param {string} literal
+   * @returns {*}
+   */
+  static #literal(literal)
+  {
+    switch(literal)
+    {
+      case 'null'   : return null
+      case 'true'   : return true
+      case 'false'  : return false
+    }
+
+    if(literal.trim() !== ''
+    && String(Number(literal)) === literal)
+    {
+      return Number(literal)
+    }
+
+    const regexp = /^\/(.+)\/([dgimsuvy]*)$/s.exec(literal)
+
+    if(regexp)
+    {
+      try
+      {
+        return new RegExp(regexp[1], regexp[2])
+      }
+      catch
+      {
+        return literal
+      }
+    }
+
+    // The format of Date.prototype.toString
+    if(/^[A-Z][a-z]{2} [A-Z][a-z]{2} \d{2} -?\d{4,6} \d{2}:\d{2}:\d{2} GMT[+-]\d{4}/.test(literal))
+    {
+      return new Date(literal)
+    }
+
+    if(/^".*"$/s.test(literal))
+    {
+      try
+      {
+        return JSON.parse(literal)
+      }
+      catch
+      {
+        return literal
+      }
+    }
+
+    return literal
+  }
+
+  /**
+   * Custom inspect method for the WildTrie class, allowing it to be inspected in a more readable
+   * format when using `util.inspect`.
+   * @param {number} [depth]            - The depth to which the trie should be serialized.
+   * @param {Object} [options]          - Options for the inspect method.
+   * @param {number} [options.compact]  - If true, the output will be more compact.
+   * @returns {string}                  - A string representation of the trie structure.
+   */
+  [util.inspect.custom](depth, options) 
+  {
+    depth = depth ?? options?.compact
+
+    const
+      stylize     = options?.stylize ?? (str => str),
+      serialized  = this.toString(depth, stylize),
+      className   = stylize(this.config.name ?? this.name ?? this.constructor.name ?? 'WildTrie', 'special')
+
+    return `${className} ${serialized}`
+  }
+
+  /**
+   * Yields all descendant branches paired with their associated trie-nodes.
+   * 
+   * Traverses the trie recursively, collecting every branch in the subtree rooted at the 
+   * provided path.
+   * 
+   * @param {...*} [path] - An optional path to begin traversal from matching leaf nodes.
+   * @yields {WildTrie}   - A descendant `WildTrie` node.
+   */
+  * descendants(...path)
+  {
+    const seen = new WeakSet()
+
+    // Without a path, the trie-node is not walked, and a lazy trie-node is not loaded, @see size
+    for(const trie of path.length ? this.query(...path) : [ this ])
+    {
+      for(const [ , descendant ] of this.#descendants(seen, trie))
+      {
+        // A circular path back to the trie-node does not make it a descendant of itself.
+        if(descendant !== trie)
+        {
+          yield descendant
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {WeakSet} seen        - The trie-nodes already yielded, each node is only yielded once.
+   * @param {WildTrie} trie       - The trie-node to yield the descendants of.
+   * @param {Array} [path=[]]     - The branch-path to the provided trie-node.
+   * @param {boolean} [walk=false] - If the deny branches should be excluded, and the lazy trie-nodes loaded, as when walked.
+   * @yields {[Array, WildTrie]}  - A tuple of the branch-path to, and the descendant trie-node.
+   */
+  * #descendants(seen, trie, path = [], walk = false)
+  {
+    // A walk loads the lazy trie-nodes that it reaches, @see setLazy
+    if(walk)
+    {
+      trie.#load()
+    }
+
+    for(const [ branch, branchTrie ] of trie.#branches)
+    {
+      if(false === seen.has(branchTrie)
+      &&(false === walk || false === trie.#isDeny(branch)))
+      {
+        seen.add(branchTrie)
+        yield [ [ ...path, branch ], branchTrie ]
+        yield * this.#descendants(seen, branchTrie, [ ...path, branch ], walk)
+      }
+    }
+  }
+
+  /**
+   * Returns a generator that yields each matched trie-node of the specified pattern, together with the
+   * stored branch-path that leads to it. A trie-node that is matched by several stored branch-paths, 
+   * such as a shared trie-node, is yielded once for each of the branch-paths.
+   * @param {...*} [pattern]
+   * @yields {[Array, WildTrie]} - A tuple of the stored branch-path, and the matched trie-node.
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', 'users', 'read')
+   * acl.add('admin', 'posts', 'read')
+   * [ ...acl.paths('admin', '*', 'read') ].map(([ path ]) => path) 
+   * // [ [ 'admin', 'users', 'read' ], [ 'admin', 'posts', 'read' ] ]
+   */
+  * paths(...pattern)
+  {
+    const seen = new Map()
+
+    for(const { path, node } of this.match(...pattern))
+    {
+      if(WildTrie.#unseenPath(seen, path))
+      {
+        yield [ path, node ]
+      }
+    }
+  }
+
+  /**
+   * Records the path in the nested map of seen paths.
+   * @param {Map} seen
+   * @param {Array} path
+   * @returns {boolean} - If the path had not already been seen.
+   */
+  static #unseenPath(seen, path)
+  {
+    for(const branch of path)
+    {
+      if(false === seen.has(branch))
+      {
+        seen.set(branch, new Map())
+      }
+
+      seen = seen.get(branch)
+    }
+
+    const unseen = false === seen.has(WildTrie.LEAF)
+    seen.set(WildTrie.LEAF, true)
+    return unseen
+  }
+
+  /**
+   * Returns a generator that yields the branch-path of each terminal trie-node, a trie-node that has 
+   * no branches. A shared trie-node is yielded once for each of the branch-paths that leads to it.
+   * The deny branches are not included, @see deny
+   * @yields {[Array, WildTrie]} - A tuple of the branch-path, and the terminal trie-node.
+   * 
+   * @example
+   * const groups  = new WildTrie()
+   * const reader  = groups.add('reader')
+   * reader.add('read')
+   * groups.add('editor').set('reader', reader)
+   * [ ...groups.leaves() ].map(([ path ]) => path)
+   * // [ [ 'reader', 'read' ], [ 'editor', 'reader', 'read' ] ]
+   */
+  * leaves()
+  {
+    yield * this.#leaves([], new Set([ this ]))
+  }
+
+  * #leaves(path, ancestors)
+  {
+    let terminal = true
+
+    for(const [ branch, trie ] of this.#branches)
+    {
+      if(this.#isDeny(branch))
+      {
+        continue
+      }
+
+      terminal = false
+
+      // Guards against walking a circular path.
+      if(false === ancestors.has(trie))
+      {
+        ancestors.add(trie)
+        yield * trie.#leaves([ ...path, branch ], ancestors)
+        ancestors.delete(trie)
+      }
+    }
+
+    if(terminal && path.length)
+    {
+      yield [ path, this ]
+    }
+  }
+
+  /**
+   * Returns a generator of all the direct branch-entries of the trie.
+   * If a path is provided, it will return the entries of the matched trie-node.
+   * A lazy trie-node is only loaded by a walk of the path, as for the keys and the values, @see setLazy
+   * @param {...*} [path]     - The path to retrieve the entries from.
+   * @yields {[*, WildTrie]}  - Each entry is a tuple of the branch-key and its associated `WildTrie` instance.
+   */
+  * entries(...path)
+  {
+    if(path.length)
+    {
+      for(const trie of this.query(...path))
+      {
+        yield * trie.entries()
+      }
+    }
+    else
+    {
+      yield * this.#branches.entries()
+    }
+  }
+
+  /**
+   * Returns a generator of all the direct branch-keys in the trie.
+   * If a path is provided, it will return the branch-keys of the matched trie-node.
+   * @param {...*} [path] - The path to retrieve the branch keys from.
+   * @yields {*}          - The direct branch-keys of the specified path.
+   */
+  * keys(...path)
+  {
+    if(path.length)
+    {
+      for(const trie of this.query(...path))
+      {
+        yield * trie.keys()
+      }
+    }
+    else
+    {
+      yield * this.#branches.keys()
+    }
+  }
+
+  /**
+   * Returns a generator of all the direct branched trie-nodes.
+   * If a path is provided, it will return the values of the specified branch trie.
+   * @param {...*} [path] - The path to retrieve the values from.
+   * @yields {WildTrie}   - The branched trie-nodes of the specified path.
+   */
+  * values(...path)
+  {
+    if(path.length)
+    {
+      for(const trie of this.query(...path))
+      {
+        yield * trie.values()
+      }
+    }
+    else
+    {
+      yield * this.#branches.values()
+    }
+  }
+
+  /** 
+   * Returns a generator that yields a trace of trie-nodes between the matched leaf nodes and the root.
+   * 
+   * This method is useful for tracing each node in the path that leads to a matching leaf node.
+   * 
+   * @param {...*} [path] - The path to traverse in the trie.
+   * @yields {WildTrie}   - Each unique node that is, or ancestor of, a leaf node to the specified path.
+   */
+  * trace(...path)
+  {
+    const trace = new WeakSet()
+
+    for(const [ trie, state ] of this.walk(...path))
+    {
+      if(WildTrie.LEAF === state)
+      {
+        trace.add(trie)
+        yield trie
+      }
+      else
+      {
+        for(const branchTrie of trie.values())
+        {
+          if(trace.has(branchTrie))
+          {
+            trace.add(trie)
+            yield trie
+            break
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a generator that explains each match of the specified path: the stored branch-path that
+   * matched, how each step of the path was matched, which shared trie-nodes the match went through,
+   * and if the match is allowed, or denied by a deny rule.
+   * 
+   * @param {...*} [path]
+   * @typedef {Object} WildTrieExplanation
+   * @property {WildTrie}       node        - The matched leaf node.
+   * @property {Array}          path        - The stored branch-path of the matched leaf node.
+   * @property {Object[]}       steps       - Each step of the match, in the order of the path.
+   * @property {string}         steps[].type    - The type of the step: `literal`, `pattern`, `param`, 
+   *                                              `glob`, `wildcard` or `globstar`.
+   * @property {*}              steps[].branch  - The stored branch, or branch-path for a globstar.
+   * @property {*}              steps[].segment - The segment, or segments for a globstar, of the path.
+   * @property {Object[]}       references  - The shared trie-nodes, @see set, that the match went through.
+   * @property {Array}          references[].path - The stored branch-path of the shared trie-node.
+   * @property {WildTrie}       references[].node - The shared trie-node.
+   * @property {boolean}        allowed     - If the match is allowed, @see deny
+   * @property {WildTrieMatch}  [deny]      - The deny rule that denied, or could not deny, the match.
+   * @yields {WildTrieExplanation}
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('admin', '*', 'read')
+   * const [ explanation ] = acl.explain('admin', 'users', 'read')
+   * explanation.path  // [ 'admin', '*', 'read' ]
+   * explanation.steps // [ { type: 'literal',  branch: 'admin', segment: 'admin' },
+   *                   //   { type: 'wildcard', branch: '*',     segment: 'users' },
+   *                   //   { type: 'literal',  branch: 'read',  segment: 'read'  } ]
+   */
+  * explain(...path)
+  {
+    const denies = this.#denies(path)
+
+    for(const [ match, trail ] of this.#matches(path))
     {
-      const [ branch, trie ] = entries[i]
       const
-        isLast    = i === entries.length - 1,
-        prefix    = isLast ? '└─' : '├─',
-        subTrie   = depth > 1 && trie.size > 0,
-        tree      = subTrie
-                  ? trie.toString(depth - 1, stylize) 
-                  : trie.size ? '…' : '',
-        mapper    = line => line 
-                    ? (isLast || !subTrie 
-                      ? ' ' : '│') + (subTrie 
-                        ? '  ' : '') + line 
-                    : '',
-        indented  = tree.split('\n').map(mapper).join('\n'),
-        state     = trie.state !== undefined 
-                  ? ` : ${this.#stylize(trie.state, stylize)}` 
-                  : ''
+        deny        = denies(trail),
+        allowed     = this.#allows(match.specificity, deny),
+        steps       = trail.map(({ type, branch, segment }) => ({ type, branch, segment })),
+        references  = []
 
-      output += `\n${prefix} ${this.#stylize(branch, stylize)}${state}${indented}`
+      for(let i = 0, trie = this; i < match.path.length; i++)
+      {
+        trie = trie.#branches.get(match.path[i])
+
+        if(trie.#references > 1)
+        {
+          references.push({ path: match.path.slice(0, i + 1), node: trie })
+        }
+      }
+
+      yield { ...match, steps, references, allowed, deny }
     }
+  }
 
-    return output
+  /**
+   * Checks if the trie grants everything that the specified pattern grants, that is, if every path 
+   * that the pattern matches is also matched by the trie.
+   * 
+   * The pattern is covered if a stored branch-path covers it, where a stored globstar covers any 
+   * number of segments, a stored wildcard covers any single segment, and a stored named parameter 
+   * without a converter covers any single segment. A regular expression, predicate or converted named
+   * parameter covers a specific segment that it matches. A pattern that includes a wildcard is not 
+   * covered if a deny rule overlaps the pattern.
+   * 
+   * @param {...*} [pattern]
+   * @returns {boolean}
+   * 
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('user', '**', 'read')
+   * acl.covers('user', 'posts', '*', 'read') // true
+   * acl.covers('user', '**')                 // false
+   */
+  covers(...pattern)
+  {
+    if(pattern.every(segment => this.#isConcrete(segment)))
+    {
+      return this.has(...pattern)
+    }
+
+    if(this.config.deny !== null
+    && this.#branches.has(this.config.deny))
+    {
+      const deny = this.#branches.get(this.config.deny)
+
+      for(const [ , trie ] of deny.#overlaps(pattern, 0, [], new Map()))
+      {
+        if(trie.#denied
+        || trie.#branches.size === 0)
+        {
+          return false
+        }
+      }
+    }
+
+    return this.#covers(pattern, 0, new Map())
   }
 
-  #stylize(input, stylize = s => s)
+  /**
+   * @param {Array}   pattern
+   * @param {number}  index   - The index of the segment of the pattern to cover.
+   * @param {Map}     memo    - The memoized results of each trie-node and index.
+   * @returns {boolean}
+   */
+  #covers(pattern, index, memo)
   {
-    const type  = input === null 
-                ? 'null' 
-                : input instanceof Date 
-                ? 'date' 
-                : input instanceof RegExp 
-                ? 'regexp' 
-                : typeof input
+    if(index === pattern.length)
+    {
+      return true
+    }
+
+    const memoized = memo.get(this) ?? new Map()
+    memo.set(this, memoized)
+
+    if(memoized.has(index))
+    {
+      return memoized.get(index)
+    }
+
+    // Guards against revisiting the same state while it is being resolved.
+    memoized.set(index, false)
+
+    const 
+      segment = pattern[index],
+      result  = this.#coversSegment(pattern, index, memo, segment)
+
+    memoized.set(index, result)
+    return result
+  }
+
+  #coversSegment(pattern, index, memo, segment)
+  {
+    const alternatives = this.#expand(segment)
+
+    if(alternatives.length > 1)
+    {
+      return alternatives.every(alternative => this.#coversSegment(pattern, index, memo, alternative))
+    }
+
+    // A stored globstar covers any number of segments of the pattern, and if it has no branches, all
+    // of the remaining segments of the pattern.
+    if(this.#branches.has(this.config.globstar))
+    {
+      const globstar = this.#branches.get(this.config.globstar)
+
+      if(globstar.#branches.size === 0)
+      {
+        return true
+      }
+
+      for(let i = index; i < pattern.length; i++)
+      {
+        if(globstar.#covers(pattern, i, memo))
+        {
+          return true
+        }
+      }
+    }
+
+    if(this.config.globstar === segment)
+    {
+      return false
+    }
+
+    for(const [ branch, trie ] of this.#branches)
+    {
+      if(false === this.#isDeny(branch)
+      && this.config.globstar !== branch
+      && this.#coversBranch(branch, segment)
+      && trie.#covers(pattern, index + 1, memo))
+      {
+        return true
+      }
+    }
 
-    return stylize(input, type)
+    return false
   }
 
   /**
-   * Custom inspect method for the WildTrie class, allowing it to be inspected in a more readable
-   * format when using `util.inspect`.
-   * @param {number} [depth]            - The depth to which the trie should be serialized.
-   * @param {Object} [options]          - Options for the inspect method.
-   * @param {number} [options.compact]  - If true, the output will be more compact.
-   * @returns {string}                  - A string representation of the trie structure.
+   * Checks if a stored branch matches every segment that the segment of a pattern matches.
+   * @param {*} branch
+   * @param {*} segment
+   * @returns {boolean}
    */
-  [util.inspect.custom](depth, options) 
+  #coversBranch(branch, segment)
   {
-    depth = depth ?? options?.compact
+    if(this.config.wildcard === branch)
+    {
+      return true
+    }
 
-    const
-      stylize     = options?.stylize ?? (str => str),
-      serialized  = this.toString(depth, stylize),
-      className   = stylize(this.config.name ?? this.name ?? this.constructor.name ?? 'WildTrie', 'special')
+    if(this.#isParam(branch))
+    {
+      return this.config.params[branch.slice(this.config.param.length)]
+        ? this.#isConcrete(segment) && this.#convert(branch, segment) !== undefined
+        : true
+    }
 
-    return `${className} ${serialized}`
+    // A stored glob covers a glob of the pattern if it matches the glob as a literal, since the 
+    // wildcard of the stored glob is the only part of it that can match the wildcard of the pattern.
+    if(this.#isGlob(branch)
+    && this.#isGlob(segment))
+    {
+      return this.#testPattern(this.#matchers.get(branch) ?? this.#glob(branch), segment)
+    }
+
+    if(false === this.#isConcrete(segment))
+    {
+      return branch === segment
+    }
+
+    // A branch that is not indexed, such as a branch of another trie, is tested by its matcher.
+    const matcher = this.#matchers.has(branch)
+      ? this.#matchers.get(branch)
+      : this.#matcher(branch)
+
+    if(matcher)
+    {
+      return this.#testPattern(matcher, segment)
+    }
+
+    return branch === segment
   }
 
   /**
-   * Yields all descendant branches paired with their associated trie-nodes.
+   * Returns a generator that yields the stored branch-paths that overlap the specified pattern, that
+   * is, where at least one path is matched by both the stored branch-path and the pattern.
    * 
-   * Traverses the trie recursively, collecting every branch in the subtree rooted at the 
-   * provided path.
+   * @param {...*} [pattern]
+   * @yields {[Array, WildTrie]} - A tuple of the stored branch-path, and the trie-node it leads to.
    * 
-   * @param {...*} [path] - An optional path to begin traversal from matching leaf nodes.
-   * @yields {WildTrie}   - A descendant `WildTrie` node.
+   * @example
+   * const acl = new WildTrie()
+   * acl.add('a', '*', 'read')
+   * acl.add('a', 'y', 'update')
+   * [ ...acl.intersect('a', 'x', '**') ] // [ [ [ 'a', '*', 'read' ], WildTrie ] ]
    */
-  * descendants(...path)
+  * intersect(...pattern)
   {
-    const seen = new WeakSet()
-    for(const trie of this.query(...path))
-    {
-      yield * this.#descendants(seen, trie)
-    }
-  }
+    const yielded = new WeakSet()
 
-  * #descendants(seen, trie)
-  {
-    for(const branchTrie of trie.values())
+    for(const [ path, trie ] of this.#overlaps(pattern, 0, [], new Map()))
     {
-      if(false === seen.has(branchTrie))
+      if(false === yielded.has(trie))
       {
-        seen.add(branchTrie)
-        yield branchTrie
-        yield * this.#descendants(seen, branchTrie)
+        yielded.add(trie)
+        yield [ path, trie ]
       }
     }
   }
 
   /**
-   * Returns a generator of all the direct branch-entries of the trie.
-   * If a path is provided, it will return the entries of the matched trie-node.
-   * @param {...*} [path]     - The path to retrieve the entries from.
-   * @yields {[*, WildTrie]}  - Each entry is a tuple of the branch-key and its associated `WildTrie` instance.
+   * @param {Array}   pattern
+   * @param {number}  index     - The index of the segment of the pattern to overlap.
+   * @param {Array}   path      - The stored branch-path to this trie-node.
+   * @param {Map}     visited   - The visited indexes of each trie-node.
+   * @yields {[Array, WildTrie]}
    */
-  * entries(...path)
+  * #overlaps(pattern, index, path, visited)
   {
-    if(path.length)
+    const indexes = visited.get(this) ?? new Set()
+    visited.set(this, indexes)
+
+    if(indexes.has(index))
     {
-      for(const trie of this.query(...path))
+      return
+    }
+
+    indexes.add(index)
+
+    if(index === pattern.length)
+    {
+      // A stored globstar that has branches is never the end of a matched path.
+      if(this.config.globstar !== path.at(-1)
+      || this.#branches.size === 0)
       {
-        yield * trie.entries()
+        yield [ path, this ]
       }
+
+      return
     }
-    else
+
+    for(const segment of this.#expand(pattern[index]))
     {
-      yield * this.#branches.entries()
+      // A globstar of the pattern overlaps none, or any number of stored branches.
+      if(this.config.globstar === segment)
+      {
+        yield * this.#overlaps(pattern, index + 1, path, visited)
+      }
+
+      for(const [ branch, trie ] of this.#branches)
+      {
+        if(this.#isDeny(branch))
+        {
+          continue
+        }
+
+        // A stored globstar overlaps none, or any number of segments of the pattern, and if it has
+        // no branches, all of the remaining segments of the pattern.
+        if(this.config.globstar === branch)
+        {
+          const length = trie.#branches.size ? pattern.length - 1 : pattern.length
+
+          for(let i = index; i <= length; i++)
+          {
+            yield * trie.#overlaps(pattern, i, [ ...path, branch ], visited)
+          }
+        }
+        else if(this.config.globstar === segment)
+        {
+          yield * trie.#overlaps(pattern, index, [ ...path, branch ], visited)
+        }
+        else if(this.#overlapsBranch(branch, segment))
+        {
+          yield * trie.#overlaps(pattern, index + 1, [ ...path, branch ], visited)
+        }
+      }
     }
   }
 
   /**
-   * Returns a generator of all the direct branch-keys in the trie.
-   * If a path is provided, it will return the branch-keys of the matched trie-node.
-   * @param {...*} [path] - The path to retrieve the branch keys from.
-   * @yields {*}          - The direct branch-keys of the specified path.
+   * Checks if a stored branch, and the segment of a pattern, matches at least one segment in common. 
+   * When it can not be determined, it is assumed that they do.
+   * @param {*} branch
+   * @param {*} segment
+   * @returns {boolean}
    */
-  * keys(...path)
+  #overlapsBranch(branch, segment)
   {
-    if(path.length)
+    if(this.config.wildcard === branch
+    || this.config.wildcard === segment
+    || branch === segment)
     {
-      for(const trie of this.query(...path))
+      return true
+    }
+
+    if(this.#isGlob(segment))
+    {
+      if(this.#isGlob(branch))
       {
-        yield * trie.keys()
+        const
+          a = branch .split(this.config.wildcard),
+          b = segment.split(this.config.wildcard)
+
+        return (a[0].startsWith(b[0]) || b[0].startsWith(a[0]))
+            && (a.at(-1).endsWith(b.at(-1)) || b.at(-1).endsWith(a.at(-1)))
       }
+
+      return this.#matchers.has(branch) 
+          || this.#testPattern(this.#glob(segment), branch)
     }
-    else
+
+    if(this.#isParam(branch))
     {
-      yield * this.#branches.keys()
+      return this.#convert(branch, segment) !== undefined
+    }
+
+    if(this.#matchers.has(branch))
+    {
+      return this.#testPattern(this.#matchers.get(branch), segment)
     }
+
+    return false
   }
 
   /**
-   * Returns a generator of all the direct branched trie-nodes.
-   * If a path is provided, it will return the values of the specified branch trie.
-   * @param {...*} [path] - The path to retrieve the values from.
-   * @yields {WildTrie}   - The branched trie-nodes of the specified path.
+   * Returns a generator that yields all the leaf nodes of the trie that match the specified path.
+   * 
+   * If the provided path doesn't exist, then an empty iteratot will be returned.
+   * 
+   * If the path branch is specific, it will return the trie-node that match that branch.
+   * 
+   * If a path branch is defined using a @see config.wildcard, it will return all trie-nodes of all
+   * the defined branches of the trie. 
+   * 
+   * If a path branch is defined using a @see config.globstar, it will return all the
+   * descendants of the trie, including all trie-nodes of all the defined branches of the trie.
+   * 
+   * If a path branch includes the wildcard in a segment, such as `prefs-*`, it will return the trie-nodes
+   * of the branches that match the glob, and of the wildcard branch. If a path branch includes a brace 
+   * alternation, such as `{read,update}`, it will return the trie-nodes of each alternative.
+   * 
+   * A specific path branch is matched by every stored branch that matches it, walked in the order of
+   * how specific the branches are: the literal branch, the regular expression, predicate and glob 
+   * branches, the named parameter branches, the wildcard branch, and last the globstar branch.
+   * 
+   * A leaf node is not yielded if the path is denied by a deny rule that is at least as specific as
+   * the stored branch-path of the leaf node, @see deny
+   * 
+   * @param {*} [branch]
+   * @param {...*} [path]
+   * @yields {WildTrie} - Each unique leaf node of the provided path.
    */
-  * values(...path)
+  * query(...path)
   {
-    if(path.length)
+    const denies = this.#denies(path)
+
+    for(const [ trie, state, trail ] of this.#traverse([], ...path))
     {
-      for(const trie of this.query(...path))
+      if(WildTrie.LEAF === state)
       {
-        yield * trie.values()
+        const deny = denies(trail)
+
+        if(deny === undefined
+        || this.#allows(this.#specificity(trail), deny))
+        {
+          yield trie
+        }
       }
     }
-    else
+  }
+
+  /**
+   * The async variant of @see query, that awaits the pending lazy loaders that the walk reaches, 
+   * @see setLazy
+   * @param {...*} [path]
+   * @yields {WildTrie} - Each unique leaf node of the provided path.
+   */
+  async * queryAsync(...path)
+  {
+    yield * await this.#settle(() => [ ...this.query(...path) ])
+  }
+
+  /**
+   * The async variant of @see has, that awaits the pending lazy loaders that the walk reaches, 
+   * @see setLazy
+   * @param {...*} [path]
+   * @returns {Promise<boolean>}
+   */
+  async hasAsync(...path)
+  {
+    return this.#settle(() => this.has(...path))
+  }
+
+  /**
+   * Repeats the synchronous walk until it reaches no pending lazy loaders.
+   * @param {Function} walk
+   * @returns {Promise<*>} - The result of the walk.
+   */
+  async #settle(walk)
+  {
+    for(;;)
     {
-      yield * this.#branches.values()
+      const pending = new Set()
+      let result
+
+      WildTrie.#pending = pending
+
+      try
+      {
+        result = walk()
+      }
+      finally
+      {
+        WildTrie.#pending = null
+      }
+
+      if(pending.size === 0)
+      {
+        return result
+      }
+
+      await Promise.all(pending)
     }
   }
 
-  /** 
-   * Returns a generator that yields a trace of trie-nodes between the matched leaf nodes and the root.
+  /**
+   * Returns a generator that yields all the leaf nodes of the trie that match the specified path, 
+   * together with the segments that was captured by each wildcard or globstar used in the match.
    * 
-   * This method is useful for tracing each node in the path that leads to a matching leaf node.
+   * A stored wildcard branch captures the segment of the path that it matched, and a stored globstar 
+   * branch captures an array of the segments it matched. A wildcard or a globstar in the provided 
+   * path captures the stored branch, or branch-path, that it matched.
    * 
-   * @param {...*} [path] - The path to traverse in the trie.
-   * @yields {WildTrie}   - Each unique node that is, or ancestor of, a leaf node to the specified path.
+   * A stored named parameter branch captures the segment like a wildcard, and binds the value of the
+   * segment, converted by the configured converter of the parameter, to the name of the parameter.
+   * 
+   * @param {...*} [path]
+   * @typedef {Object} WildTrieMatch
+   * @property {WildTrie} node      - The matched leaf node.
+   * @property {Array}    captures  - The captured segments, in the order of the path.
+   * @property {Object}   params    - The values of the named parameters, mapped by name.
+   * @property {Array}    path      - The stored branch-path of the matched leaf node.
+   * @property {number[]} specificity - The rank of each stored branch of the match, @see best
+   * @yields {WildTrieMatch}        - Each leaf node of the provided path, and what it captured.
+   * 
+   * @example
+   * const routes = new WildTrie()
+   * routes.add('users', '*', 'posts', '**')
+   * routes.match('users', '42', 'posts', 'a', 'b').next().value.captures // [ '42', [ 'a', 'b' ] ]
+   * 
+   * @example
+   * const routes = WildTrie.create({ params: { userId: segment => /^\d+$/.test(segment) ? Number(segment) : undefined } })
+   * routes.add('users', ':userId', 'posts')
+   * routes.match('users', '42', 'posts').next().value.params // { userId: 42 }
    */
-  * trace(...path)
+  * match(...path)
   {
-    const trace = new WeakSet()
+    const denies = this.#denies(path)
 
-    for(const [ trie, state ] of this.walk(...path))
+    for(const [ match, trail ] of this.#matches(path))
     {
-      if(WildTrie.LEAF === state)
+      if(this.#allows(match.specificity, denies(trail)))
       {
-        trace.add(trie)
-        yield trie
+        yield match
       }
-      else
+    }
+  }
+
+  /**
+   * @param {Array} path
+   * @yields {[WildTrieMatch, Array]} - A tuple of the match and the walked trail of the match.
+   */
+  * #matches(path)
+  {
+    for(const [ trie, state, trail ] of this.#traverse([], ...path))
+    {
+      if(WildTrie.LEAF === state)
       {
-        for(const branchTrie in trie.values())
+        const
+          captures    = [],
+          params      = {},
+          specificity = this.#specificity(trail)
+
+        for(const step of trail)
         {
-          if(trace.has(branchTrie))
+          if('capture' in step)
           {
-            trace.add(trie)
-            yield trie
-            break
+            captures.push(step.capture)
+          }
+
+          if('param' in step)
+          {
+            params[step.param] = step.value
           }
         }
+
+        yield [ { node: trie, path: this.#branchPath(trail), captures, params, specificity }, trail ]
+      }
+    }
+  }
+
+  #branchPath(trail)
+  {
+    return trail.flatMap(step => step.type === 'globstar' ? step.branch : [ step.branch ])
+  }
+
+  #specificity(trail)
+  {
+    const specificity = []
+
+    for(const step of trail)
+    {
+      // A stored globstar is ranked once, a globstar of the path is ranked by each stored branch.
+      if(step.type === 'globstar' && Array.isArray(step.segment))
+      {
+        specificity.push(this.#rank(this.config.globstar))
+      }
+      else if(step.type === 'globstar')
+      {
+        specificity.push(...step.branch.map(branch => this.#rank(branch)))
+      }
+      else
+      {
+        specificity.push(this.#rank(step.branch))
       }
     }
+
+    return specificity
   }
 
   /**
-   * Returns a generator that yields all the leaf nodes of the trie that match the specified path.
-   * 
-   * If the provided path doesn't exist, then an empty iteratot will be returned.
-   * 
-   * If the path branch is specific, it will return the trie-node that match that branch.
+   * Returns the most specific match of the specified path, when several stored branch-paths match.
    * 
-   * If a path branch is defined using a @see config.wildcard, it will return all trie-nodes of all
-   * the defined branches of the trie. 
+   * Each stored branch of a match is ranked by how specific it is: a literal branch is more specific 
+   * than a regular expression, predicate or glob branch, which is more specific than a named parameter
+   * branch, which is more specific than a wildcard branch, which is more specific than a globstar 
+   * branch. The matches are compared branch by branch, the first branch that differs decides which 
+   * match is the most specific. If all compared branches are equal, then the match with the most 
+   * branches is the most specific. If the matches are equally specific, then the first match wins.
    * 
-   * If a path branch is defined using a @see config.globstar, it will return all the
-   * descendants of the trie, including all trie-nodes of all the defined branches of the trie.
+   * @param {...*} [path]
+   * @returns {WildTrieMatch|undefined} - The most specific match, or undefined if nothing matched.
    * 
-   * @param {*} [branch]
+   * @example
+   * const config = new WildTrie()
+   * config.add('users', '**').state      = 'default'
+   * config.add('users', '*', 'a').state  = 'any user'
+   * config.add('users', 'me', 'a').state = 'me'
+   * config.best('users', 'me', 'a').node.state  // 'me'
+   * config.best('users', 'you', 'a').node.state // 'any user'
+   * config.best('users', 'you', 'b').node.state // 'default'
+   */
+  best(...path)
+  {
+    return this.#best(this.match(...path))
+  }
+
+  #best(matches)
+  {
+    let best
+
+    for(const match of matches)
+    {
+      if(best === undefined
+      || WildTrie.#compareSpecificity(match.specificity, best.specificity) > 0)
+      {
+        best = match
+      }
+    }
+
+    return best
+  }
+
+  static #compareSpecificity(a, b)
+  {
+    for(let i = 0; i < a.length && i < b.length; i++)
+    {
+      if(a[i] !== b[i])
+      {
+        return a[i] - b[i]
+      }
+    }
+
+    return a.length - b.length
+  }
+
+  /**
+   * Ranks how specific a stored branch is, where a higher rank is more specific.
+   * @param {*} branch
+   * @returns {number}
+   */
+  #rank(branch)
+  {
+    if(this.config.globstar === branch)
+    {
+      return 0
+    }
+    if(this.config.wildcard === branch)
+    {
+      return 1
+    }
+    if(this.#isParam(branch))
+    {
+      return 2
+    }
+    if(this.#isPattern(branch)
+    || this.#isGlob(branch))
+    {
+      return 3
+    }
+
+    return 4
+  }
+
+  /**
+   * Traverses the trie structure and yields all visited nodes.
    * @param {...*} [path]
-   * @yields {WildTrie} - Each unique leaf node of the provided path.
+   * @yields {[WildTrie, Symbol]} - A tuple of the trie-node and a symbol representing the walk-state.
    */
-  * query(...path)
+  * walk(...path)
   {
-    for(const [ trie, state ] of this.walk(...path))
+    for(const [ trie, state ] of this.#traverse([], ...path))
     {
-      if(WildTrie.LEAF === state)
-      {
-        yield trie
-      }
+      yield [ trie, state ]
     }
   }
 
   /**
-   * Traverses the trie structure and yields all visited nodes.
+   * The trail is the list of steps walked to reach a trie-node, where each step describes the stored 
+   * branch and the segment of the path that it was matched by, and when a wildcard or a globstar was 
+   * used - what it captured.
+   * 
+   * @param {Array} trail
    * @param {*} branch 
    * @param  {...*} path 
-   * @yields {[WildTrie, Symbol]} - A tuple of the trie-node and a symbol representing the walk-state.
+   * @yields {[WildTrie, Symbol, Array]} - A tuple of the trie-node, the walk-state and the trail.
    */
-  * walk(branch, ...path)
+  * #traverse(trail, branch, ...path)
   {
+    this.#load()
+
     if(branch)
     {
       const seen = new WeakSet([ this ])
 
-      for(const [ trie, state ] of this.#walk(seen, branch, ...path))
+      for(const [ trie, state, steps ] of this.#walk(seen, trail, branch, ...path))
       {
         seen.add(trie)
-        yield [ trie, state ]
+        yield [ trie, state, steps ]
       }
 
-      yield [this, WildTrie.SEEN]
+      yield [ this, WildTrie.SEEN, trail ]
     }
     else
     {
-      yield [this, WildTrie.LEAF]
+      yield [ this, WildTrie.LEAF, trail ]
     }
   }
 
-  * #walk(seen, branch, ...path)
+  * #walk(seen, trail, branch, ...path)
   {
     if(this.config.wildcard === branch)
     {
-      yield * this.#walkWildcardPath(seen, branch, ...path)
+      yield * this.#walkWildcardPath(seen, trail, branch, ...path)
     }
     else if(this.config.globstar === branch)
     {
-      yield * this.#walkGlobstarPath(seen, branch, ...path)
+      yield * this.#walkGlobstarPath(seen, trail, branch, ...path)
+    }
+    else if(this.#expand(branch).length > 1)
+    {
+      for(const alternative of this.#expand(branch))
+      {
+        yield * this.#walk(seen, trail, alternative, ...path)
+      }
+    }
+    else if(this.#isGlob(branch))
+    {
+      yield * this.#walkGlobPath(seen, trail, branch, ...path)
     }
     // If the branch-path is not a wildcard or globstar
     // ... then walk the specific node-branch.
+    // The node-branches are walked in the order of how specific they are, so that a trie-node that 
+    // is reached by several branches is first reached by the most specific branch.
     else
     {
-      yield * this.#walkWildcardNodeBranch(seen, branch, ...path)
-      yield * this.#walkGlobstarNodeBranch(seen, branch, ...path)
-      yield * this.#walkMatchingNodeBranch(seen, branch, ...path)
+      yield * this.#walkMatchingNodeBranch(seen, trail, branch, ...path)
+      yield * this.#walkPatternNodeBranch(seen, trail, branch, ...path)
+      yield * this.#walkParamNodeBranch(seen, trail, branch, ...path)
+      yield * this.#walkWildcardNodeBranch(seen, trail, branch, ...path)
+      yield * this.#walkGlobstarNodeBranch(seen, trail, branch, ...path)
     }
   }
 
-  * #walkWildcardPath(seen, _, ...path)
+  * #walkWildcardPath(seen, trail, segment, ...path)
   {
-    for(const trie of this.#branches.values())
+    for(const [ branch, trie ] of this.#branches)
     {
-      if(false === seen.has(trie))
+      if(false === seen.has(trie)
+      && false === this.#isDeny(branch))
+      {
+        const step = { type: 'wildcard', branch, segment, capture: branch }
+        yield * trie.#traverse([ ...trail, step ], ...path)
+      }
+    }
+  }
+
+  * #walkGlobPath(seen, trail, segment, ...path)
+  {
+    const glob = this.#glob(segment)
+
+    yield * this.#walkWildcardNodeBranch(seen, trail, segment, ...path)
+
+    for(const [ branch, trie ] of this.#branches)
+    {
+      if(false === seen.has(trie)
+      && typeof branch === 'string'
+      && false === this.#isDeny(branch)
+      && this.#testPattern(glob, branch))
       {
-        yield * trie.walk(...path)
+        const step = { type: 'glob', branch, segment, capture: branch }
+        yield * trie.#traverse([ ...trail, step ], ...path)
       }
     }
   }
 
-  * #walkGlobstarPath(seen, _, ...path)
+  * #walkGlobstarPath(seen, trail, segment, ...path)
   {
-    yield * this.walk(...path)
+    yield * this.#traverse([ ...trail, { type: 'globstar', branch: [], segment, capture: [] } ], ...path)
 
-    for(const trie of this.descendants())
+    for(const [ branches, trie ] of this.#descendants(new WeakSet([ this ]), this, [], true))
     {
       if(false === seen.has(trie))
       {
-        yield * trie.walk(...path)
+        const step = { type: 'globstar', branch: branches, segment, capture: branches }
+        yield * trie.#traverse([ ...trail, step ], ...path)
       }
     }
   }
 
-  * #walkWildcardNodeBranch(seen, _, ...path)
+  * #walkWildcardNodeBranch(seen, trail, segment, ...path)
   {
     if(this.#branches.has(this.config.wildcard))
     {
       const trie = this.#branches.get(this.config.wildcard)
       if(false === seen.has(trie))
       {
-        yield * trie.walk(...path)
+        const step = { type: 'wildcard', branch: this.config.wildcard, segment, capture: segment }
+        yield * trie.#traverse([ ...trail, step ], ...path)
+      }
+    }
+  }
+
+  * #walkParamNodeBranch(seen, trail, segment, ...path)
+  {
+    for(const [ branch, pattern ] of this.#matchers)
+    {
+      if(pattern === null)
+      {
+        const
+          param = branch.slice(this.config.param.length),
+          value = this.#convert(branch, segment)
+
+        // The converter rejects a segment that is not a valid value of the parameter.
+        if(value === undefined)
+        {
+          continue
+        }
+
+        const trie = this.#branches.get(branch)
+        if(false === seen.has(trie))
+        {
+          const step = { type: 'param', branch, segment, capture: segment, param, value }
+          yield * trie.#traverse([ ...trail, step ], ...path)
+        }
+      }
+    }
+  }
+
+  /**
+   * Converts the segment to the value of the named parameter branch, by the configured converter of 
+   * the parameter. A converter rejects the segment by returning `undefined`, `false` or `NaN`, and a 
+   * validator accepts the segment as is by returning `true`.
+   * @param {string} branch
+   * @param {*} segment
+   * @returns {*} - The value of the parameter, or undefined if the segment is rejected.
+   */
+  #convert(branch, segment)
+  {
+    const converter = this.config.params[branch.slice(this.config.param.length)]
+
+    if(converter === undefined)
+    {
+      return segment
+    }
+
+    const value = converter(segment)
+
+    if(value === true)
+    {
+      return segment
+    }
+
+    if(value === false
+    || Number.isNaN(value))
+    {
+      return undefined
+    }
+
+    return value
+  }
+
+  * #walkPatternNodeBranch(seen, trail, segment, ...path)
+  {
+    for(const [ branch, pattern ] of this.#matchers)
+    {
+      if(pattern !== null
+      && this.#testPattern(pattern, segment))
+      {
+        const trie = this.#branches.get(branch)
+        if(false === seen.has(trie))
+        {
+          const step = { type: 'pattern', branch, segment, capture: segment }
+          yield * trie.#traverse([ ...trail, step ], ...path)
+        }
       }
     }
   }
 
-  * #walkGlobstarNodeBranch(seen, branch, ...path)
+  #testPattern(pattern, segment)
+  {
+    if(pattern instanceof RegExp)
+    {
+      // A global or sticky regular expression is stateful, the state is reset to test the full segment.
+      pattern.lastIndex = 0
+      return typeof segment !== 'symbol' && pattern.test(segment)
+    }
+
+    return Boolean(pattern(segment))
+  }
+
+  * #walkGlobstarNodeBranch(seen, trail, branch, ...path)
   {
     if(this.#branches.has(this.config.globstar))
     {
@@ -670,34 +5687,397 @@ export default class WildTrie
       {
         if(false === seen.has(globstarTrie))
         {
-          yield [globstarTrie, WildTrie.LEAF]
+          const 
+            segments  = [ branch, ...path ],
+            step      = { type: 'globstar', branch: [ this.config.globstar ], segment: segments, capture: segments }
+
+          yield [ globstarTrie, WildTrie.LEAF, [ ...trail, step ] ]
         }
       }
 
       // If a globstar wildcard has been added to a trie
       // ... it means to walk all descendants, and all sibling descendants.
-      for(const trie of this.descendants())
+      for(const [ branches, trie ] of this.#descendants(new WeakSet([ this ]), this, [], true))
       {
         if(false === seen.has(trie))
         {
           for(const tail = [ branch, ...path ]; tail.length; tail.shift())
           {
-            yield * trie.walk(...tail)
+            const
+              segments  = [ branch, ...path ].slice(0, path.length + 1 - tail.length),
+              step      = { type: 'globstar', branch: branches, segment: segments, capture: segments }
+
+            if(segments.length === 0
+            && this.#isCircularHop(trail, trie))
+            {
+              continue
+            }
+
+            WildTrie.#hops.set(step, trie)
+            yield * trie.#traverse([ ...trail, step ], ...tail)
           }
         }
       }
     }
   }
 
-  * #walkMatchingNodeBranch(seen, branch, ...path)
+  /**
+   * A globstar that matches no segments hops to a descendant without walking the path, which in a 
+   * cyclic trie may hop back to a trie-node that the same hops started from, and never end. 
+   * @param {Array} trail
+   * @param {WildTrie} trie - The trie-node to hop to.
+   * @returns {boolean}
+   */
+  #isCircularHop(trail, trie)
+  {
+    if(trie === this)
+    {
+      return true
+    }
+
+    for(let i = trail.length - 1; i >= 0 && trail[i].type === 'globstar' && trail[i].segment.length === 0; i--)
+    {
+      if(WildTrie.#hops.get(trail[i]) === trie)
+      {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  * #walkMatchingNodeBranch(seen, trail, branch, ...path)
   {
-    if(this.#branches.has(branch))
+    if(this.#branches.has(branch)
+    && false === this.#isDeny(branch))
     {
       const trie = this.#branches.get(branch)
       if(false === seen.has(trie))
       {
-        yield * trie.walk(...path)
+        const step = { type: 'literal', branch, segment: branch }
+        yield * trie.#traverse([ ...trail, step ], ...path)
+      }
+    }
+  }
+}
+
+/**
+ * A growable buffer, that writes the integers of the binary format, @see WildTrie.prototype.toBuffer
+ */
+class BufferWriter
+{
+  buffer
+  length = 0
+
+  constructor(size = 1024)
+  {
+    this.buffer = Buffer.allocUnsafe(size)
+  }
+
+  #reserve(size)
+  {
+    if(this.length + size > this.buffer.length)
+    {
+      const buffer = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.length + size))
+      this.buffer.copy(buffer, 0, 0, this.length)
+      this.buffer = buffer
+    }
+  }
+
+  bytes(bytes)
+  {
+    this.#reserve(bytes.length)
+    this.length += bytes.copy(this.buffer, this.length)
+  }
+
+  uint8(value)
+  {
+    this.#reserve(1)
+    this.buffer[this.length++] = value
+  }
+
+  uint32(value)
+  {
+    this.#reserve(4)
+    this.length = this.buffer.writeUInt32LE(value, this.length)
+  }
+
+  varint(value)
+  {
+    this.#reserve(5)
+
+    while(value > 0x7f)
+    {
+      this.buffer[this.length++] = (value & 0x7f) | 0x80
+      value >>>= 7
+    }
+
+    this.buffer[this.length++] = value
+  }
+}
+
+/**
+ * Reads the integers of the binary format, @see WildTrie.fromBuffer
+ */
+class BufferReader
+{
+  offset = 0
+
+  constructor(buffer, error)
+  {
+    this.buffer = buffer
+    this.error  = error
+  }
+
+  fail(cause)
+  {
+    throw this.error(cause)
+  }
+
+  #assert(size)
+  {
+    if(this.offset + size > this.buffer.length)
+    {
+      this.fail(`Expected ${size} more bytes at offset ${this.offset}, but the buffer ends at: ${this.buffer.length}`)
+    }
+  }
+
+  uint8()
+  {
+    this.#assert(1)
+    return this.buffer[this.offset++]
+  }
+
+  uint32()
+  {
+    this.#assert(4)
+    const value = this.buffer.readUInt32LE(this.offset)
+    this.offset += 4
+    return value
+  }
+
+  varint()
+  {
+    const buffer = this.buffer
+    let 
+      offset  = this.offset,
+      value   = 0,
+      factor  = 1
+
+    while(offset < buffer.length && factor < 2 ** 35)
+    {
+      const byte = buffer[offset++]
+      value  += (byte & 0x7f) * factor
+      factor *= 0x80
+
+      if(byte < 0x80)
+      {
+        this.offset = offset
+        return value
+      }
+    }
+
+    this.offset = offset
+
+    this.fail(`Expected a variable length integer of at most 5 bytes, within the buffer, at offset: ${this.offset}`)
+  }
+
+  utf8(size)
+  {
+    this.#assert(size)
+    return this.buffer.toString('utf8', this.offset, this.offset += size)
+  }
+}
+
+/**
+ * The append-only journal of a persistent trie, @see WildTrie.open
+ */
+class Journal
+{
+  busy      = false
+  closed    = false
+  count     = 0
+  batches   = new Set()
+  deferred  = false
+
+  constructor(filePath, snapshotPath, root, seq, { compactAfter, fsync })
+  {
+    this.filePath     = filePath
+    this.snapshotPath = snapshotPath
+    this.root         = root
+    this.seq          = seq
+    this.compactAfter = compactAfter
+    this.fsync        = fsync
+    this.fd           = fs.openSync(filePath, 'a')
+  }
+
+  /**
+   * @param {Object} record
+   * @param {Object} [batch]      - The batch to buffer the record in, @see begin
+   * @param {WildTrie} [adopted]  - The lazy trie-node that the record loads, @see WildTrie#atomic
+   */
+  write(record, batch, adopted)
+  {
+    batch = this.#open(batch)
+
+    if(batch)
+    {
+      batch.records.push(record)
+      adopted && batch.adopted.push([ adopted, record ])
+    }
+    else
+    {
+      this.#append(record, 1)
+    }
+  }
+
+  /**
+   * Opens a batch that buffers the written records until it is committed, or rolled back, by the 
+   * transaction that it belongs to, @see WildTrie#atomic
+   * @param {Object} [parent] - The batch of the transaction that the transaction is nested in.
+   * @returns {Object} - The batch.
+   */
+  begin(parent)
+  {
+    const batch = { records: [], adopted: [], compact: false, parent }
+    this.batches.add(batch)
+    return batch
+  }
+
+  /**
+   * Writes the records of the batch as one record, so that a crash does not replay a part of it, and 
+   * compacts the journal if the batch was compacted. A nested batch is committed to its parent batch.
+   * @param {Object} batch
+   */
+  commit(batch)
+  {
+    this.batches.delete(batch)
+
+    const parent = this.#open(batch.parent)
+
+    if(parent)
+    {
+      parent.records.push(...batch.records)
+      parent.adopted.push(...batch.adopted)
+      parent.compact ||= batch.compact
+    }
+    else
+    {
+      if(batch.records.length)
+      {
+        this.#append({ op: 'batch', records: batch.records }, batch.records.length)
       }
+
+      this.deferred ||= batch.compact
+    }
+
+    this.#settle()
+  }
+
+  /**
+   * Discards the records of the batch.
+   * @param {Object} batch
+   */
+  rollback(batch)
+  {
+    this.batches.delete(batch)
+    this.#settle()
+  }
+
+  /**
+   * Resolves the batch, or the closest parent batch, that is not committed or rolled back.
+   * @param {Object} [batch]
+   * @returns {Object|undefined}
+   */
+  #open(batch)
+  {
+    while(batch !== undefined
+    && false === this.batches.has(batch))
+    {
+      batch = batch.parent
+    }
+
+    return batch
+  }
+
+  /**
+   * Compacts the journal once no batch is open, if a compaction was deferred, @see compact
+   */
+  #settle()
+  {
+    if(this.deferred
+    && this.batches.size === 0)
+    {
+      this.compact()
+    }
+  }
+
+  #append(record, count)
+  {
+    fs.writeSync(this.fd, JSON.stringify({ seq: ++this.seq, ...record }) + '\n')
+
+    if(this.fsync)
+    {
+      fs.fsyncSync(this.fd)
+    }
+
+    if((this.count += count) >= this.compactAfter)
+    {
+      this.compact()
+    }
+  }
+
+  /**
+   * @param {Object} [batch] - The batch of the transaction that compacts the journal, @see begin
+   */
+  compact(batch)
+  {
+    batch = this.#open(batch)
+
+    // A snapshot of a batch that is not committed is deferred until the batch is committed.
+    if(batch)
+    {
+      batch.compact = true
+      return
+    }
+
+    // A snapshot of the mutations of the open batches is deferred until no batch is open.
+    if(this.batches.size)
+    {
+      this.deferred = true
+      return
+    }
+
+    this.deferred = false
+
+    const 
+      tmp       = `${this.snapshotPath}.tmp`,
+      snapshot  = JSON.stringify({ seq: this.seq, trie: this.root.toJSON({ references: true }) }),
+      fd        = fs.openSync(tmp, 'w')
+
+    try
+    {
+      fs.writeSync(fd, snapshot)
+      fs.fsyncSync(fd)
+    }
+    finally
+    {
+      fs.closeSync(fd)
+    }
+
+    // The records of the journal are in the snapshot once it is renamed, the sequence numbers of the
+    // records prevents them from being replayed if the journal is not truncated before a crash.
+    fs.renameSync(tmp, this.snapshotPath)
+    fs.ftruncateSync(this.fd, 0)
+    this.count = 0
+  }
+
+  close()
+  {
+    if(false === this.closed)
+    {
+      fs.closeSync(this.fd)
+      this.closed = true
     }
   }
 }
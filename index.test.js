@@ -1,6 +1,10 @@
 import WildTrie         from '@superhero/wild-trie'
 import contextualAssert from '@superhero/audit/assert/contextual'
-import { suite, test }  from 'node:test'
+import { suite, test, before, after } from 'node:test'
+import util             from 'node:util'
+import fs               from 'node:fs'
+import os               from 'node:os'
+import path             from 'node:path'
 
 suite('@superhero/wild-trie', () =>
 {
@@ -46,6 +50,65 @@ suite('@superhero/wild-trie', () =>
     })
   })
 
+  suite('Can configure the WildTrie instance', () =>
+  {
+    test('Can configure the wildcard and globstar tokens', async sub =>
+    {
+      const acl = WildTrie.create({ wildcard: '?', globstar: '...' })
+
+      acl.add('admin', '?', 'read')
+      acl.add('user',  '...', 'update')
+      acl.add('files', '*', 'read')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('admin', 'users', 'read'),          true,  'The configured wildcard should match any branch')
+      assert.strictEqual(acl.has('user',  'a', 'b', 'update'),       true,  'The configured globstar should match any number of branches')
+      assert.strictEqual(acl.has('files', '*', 'read'),              true,  'The default wildcard token should be a literal branch')
+      assert.strictEqual(acl.has('files', 'foo', 'read'),            false, 'The default wildcard token should not match any branch')
+      assert.strictEqual(acl.has('?', 'users', 'read'),              true,  'The configured wildcard should be usable in a query')
+    })
+
+    test('Descendants inherit the configuration of the root', () =>
+    {
+      const
+        config  = { wildcard: '?', globstar: '...' },
+        trie    = new WildTrie({ foo: { bar: { '?': 'baz' } } }, config),
+        assert  = contextualAssert({ trie })
+
+      trie.add('qux', 'quux')
+      trie.set('corge', 'grault', 'garply')
+
+      assert.strictEqual(trie.get('foo', 'bar').config,     trie.config, 'A node created from a structure should inherit the config')
+      assert.strictEqual(trie.get('qux', 'quux').config,    trie.config, 'An added node should inherit the config')
+      assert.strictEqual(trie.get('corge', 'grault').config, trie.config, 'A set node should inherit the config')
+      assert.strictEqual(trie.has('foo', 'bar', 'baz'),     true,        'The inherited wildcard should match in a descendant')
+    })
+
+    test('Can escape a segment as a literal', () =>
+    {
+      const
+        trie    = new WildTrie(),
+        assert  = contextualAssert({ trie })
+
+      trie.add('files', trie.escape('*'), 'read')
+
+      assert.strictEqual(trie.escape('*'),                                '\\*', 'The wildcard should be escaped')
+      assert.strictEqual(trie.escape('foo'),                              'foo', 'A literal segment should not be escaped')
+      assert.strictEqual(trie.unescape(trie.escape('**')),                '**',  'An escaped segment should be unescaped')
+      assert.strictEqual(trie.has('files', trie.escape('*'), 'read'),     true,  'The escaped segment should match as a literal')
+      assert.strictEqual(trie.has('files', 'foo', 'read'),                false, 'The escaped segment should not match as a wildcard')
+    })
+
+    test('Throws on an invalid configuration', () =>
+    {
+      const assert = contextualAssert({})
+
+      assert.throws(() => WildTrie.create('*'),           { code: 'E_WILD_TRIE_CONFIG' }, 'Should throw when the configuration is not an Object')
+      assert.throws(() => WildTrie.create({ escape: '' }), { code: 'E_WILD_TRIE_CONFIG' }, 'Should throw when the escape prefix is empty')
+    })
+  })
+
   suite('Can use the WildTrie class to structure an ACL instance', () =>
   {
     test('Can use the WildTrie class to structure a basic ACL instance', async sub =>
@@ -424,36 +487,1922 @@ suite('@superhero/wild-trie', () =>
     })
   })
 
-  suite('Transform', () =>
+  suite('Can match a path and capture the segments of the wildcards', () =>
   {
-    const acl = new WildTrie()
+    test('Can capture the segment matched by a wildcard', () =>
+    {
+      const routes = new WildTrie()
 
-    acl.add('admin', 'users', 'read')
-    acl.add('admin', 'users', 'create')
-    acl.add('user',  'users', 'read')
+      routes.add('users', '*', 'posts', '*')
 
-    const assert = contextualAssert({ acl })
+      const
+        assert  = contextualAssert({ routes }),
+        matches = [ ...routes.match('users', '42', 'posts', '7') ]
 
-    test('Can use toJSON', () =>
+      assert.strictEqual(matches.length, 1, 'Should match a single node')
+      assert.strictEqual(matches[0].node, routes.get('users', '*', 'posts', '*'), 'Should match the stored node')
+      assert.deepStrictEqual(matches[0].captures, [ '42', '7' ], 'Should capture the segments of each wildcard')
+    })
+
+    test('Can capture the segments matched by a globstar', () =>
     {
-      const json = acl.toJSON()
+      const routes = new WildTrie()
 
-      assert.ok(json?.admin?.users.read,    'An admin should have access to read users')
-      assert.ok(json?.admin?.users.create,  'An admin should have access to create users')
-      assert.ok(json?.user?.users.read,     'A user should have access to read users')
+      routes.add('files', '**', 'read')
+      routes.add('assets', '**')
+
+      const assert = contextualAssert({ routes })
+
+      assert.deepStrictEqual([ ...routes.match('files', 'a', 'b', 'read') ].map(match => match.captures), [ [ [ 'a', 'b' ] ] ], 'Should capture the segments of the globstar')
+      assert.deepStrictEqual([ ...routes.match('files', 'read') ].map(match => match.captures), [ [ [] ] ], 'Should capture no segments when the globstar matched none')
+      assert.deepStrictEqual([ ...routes.match('assets', 'img', 'logo.svg') ].map(match => match.captures), [ [ [ 'img', 'logo.svg' ] ] ], 'Should capture all the remaining segments of a trailing globstar')
     })
 
-    test('Can use toString', () =>
+    test('Can capture the stored branch matched by a wildcard in the path', () =>
     {
-      const string = acl.toString()
+      const acl = new WildTrie()
 
-      assert.includes(string.split('\n'), '├─ admin',         'The string representation should include "├─ admin"')
-      assert.includes(string.split('\n'), '│  └─ users',      'The string representation should include "│  └─ users"')
-      assert.includes(string.split('\n'), '│     ├─ read',    'The string representation should include "│     ├─ read"')
-      assert.includes(string.split('\n'), '│     └─ create',  'The string representation should include "│     └─ create"')
-      assert.includes(string.split('\n'), '└─ user',          'The string representation should include "└─ user"')
-      assert.includes(string.split('\n'), '   └─ users',      'The string representation should include "   └─ users"')
-      assert.includes(string.split('\n'), '      └─ read',    'The string representation should include "      └─ read"')
+      acl.add('admin', 'users', 'read')
+
+      const assert = contextualAssert({ acl })
+
+      assert.deepStrictEqual([ ...acl.match('admin', '*', 'read') ].map(match => match.captures), [ [ 'users' ] ], 'Should capture the stored branch')
+    })
+
+    test('Matches nothing for a path that does not exist', () =>
+    {
+      const
+        acl     = new WildTrie(),
+        assert  = contextualAssert({ acl })
+
+      acl.add('admin', '*', 'read')
+
+      assert.strictEqual(acl.match('admin', 'users', 'create').next().done, true, 'Should not match anything')
+    })
+  })
+
+  suite('Can use named parameter branches', () =>
+  {
+    test('Can bind the segment of a named parameter', () =>
+    {
+      const routes = new WildTrie()
+
+      routes.add('users', ':userId', 'posts', ':postId')
+
+      const
+        assert  = contextualAssert({ routes }),
+        matches = [ ...routes.match('users', '42', 'posts', '7') ]
+
+      assert.strictEqual(matches.length, 1, 'Should match a single node')
+      assert.deepStrictEqual(matches[0].params,   { userId: '42', postId: '7' }, 'Should bind the segments to the parameter names')
+      assert.deepStrictEqual(matches[0].captures, [ '42', '7' ],                 'Should capture the segments of the parameters')
+      assert.strictEqual(routes.has('users', '42', 'posts'), true,               'A parameter should match any segment')
+      assert.strictEqual(routes.has('users', '42', 'likes'), false,              'A parameter should not match the following segment')
+    })
+
+    test('Can convert and validate the segment of a named parameter', () =>
+    {
+      const
+        toInteger = segment => /^\d+$/.test(segment) ? Number(segment) : undefined,
+        routes    = WildTrie.create({ params: { userId: toInteger } })
+
+      routes.add('users', ':userId')
+      routes.add('users', 'me')
+
+      const assert = contextualAssert({ routes })
+
+      assert.deepStrictEqual(routes.match('users', '42').next().value.params, { userId: 42 }, 'Should bind the converted value')
+      assert.strictEqual(routes.has('users', 'me'),  true,  'Should still match the literal branch')
+      assert.strictEqual(routes.has('users', 'foo'), false, 'Should not match a segment rejected by the converter')
+    })
+
+    test('Can reject a segment by a validator, or a converter that returns NaN', () =>
+    {
+      const routes = WildTrie.create({ params: { userId: Number, slug: segment => /^[a-z-]+$/.test(segment) } })
+
+      routes.add('users', ':userId')
+      routes.add('posts', ':slug')
+
+      const assert = contextualAssert({ routes })
+
+      assert.deepStrictEqual(routes.match('users', '42').next().value.params, { userId: 42 }, 'Should bind the converted value')
+      assert.strictEqual(routes.has('users', 'abc'), false, 'Should not match a segment converted to NaN')
+      assert.deepStrictEqual(routes.match('posts', 'hello-world').next().value.params, { slug: 'hello-world' }, 'Should bind the segment accepted by the validator')
+      assert.strictEqual(routes.has('posts', 'Hello World'), false, 'Should not match a segment rejected by the validator')
+    })
+
+    test('Can escape and disable named parameters', () =>
+    {
+      const
+        trie      = new WildTrie(),
+        disabled  = WildTrie.create({ param: null })
+
+      trie.add('users', trie.escape(':userId'))
+      disabled.add('users', ':userId')
+
+      const assert = contextualAssert({ trie, disabled })
+
+      assert.strictEqual(trie.has('users', '42'),           false, 'An escaped parameter should not match any segment')
+      assert.strictEqual(trie.has('users', '\\:userId'),   true,  'An escaped parameter should match as a literal')
+      assert.strictEqual(disabled.has('users', '42'),       false, 'A disabled parameter should not match any segment')
+      assert.strictEqual(disabled.has('users', ':userId'),  true,  'A disabled parameter should match as a literal')
+      assert.throws(() => WildTrie.create({ params: { userId: 'int' } }), { code: 'E_WILD_TRIE_CONFIG' }, 'Should throw when a converter is not a function')
+    })
+  })
+
+  suite('Can use regular expression and predicate branches', () =>
+  {
+    test('Can match a segment by a regular expression', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('files', /\.json$/, 'read')
+      acl.add('api', /^v\d+$/g, 'users')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('files', 'config.json', 'read'), true,  'Should match a segment that the expression matches')
+      assert.strictEqual(acl.has('files', 'config.yml', 'read'),  false, 'Should not match a segment that the expression does not match')
+      assert.strictEqual(acl.has('api', 'v1', 'users'),           true,  'Should match the first time using a global expression')
+      assert.strictEqual(acl.has('api', 'v2', 'users'),           true,  'Should match the second time using a global expression')
+      assert.strictEqual(acl.has('api', 'beta', 'users'),         false, 'Should not match a segment that the global expression does not match')
+    })
+
+    test('Can match a segment by a predicate', () =>
+    {
+      const
+        acl       = new WildTrie(),
+        isNumeric = segment => /^\d+$/.test(segment)
+
+      acl.add('users', isNumeric, 'read')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('users', '42', 'read'),  true,  'Should match a segment that the predicate accepts')
+      assert.strictEqual(acl.has('users', 'foo', 'read'), false, 'Should not match a segment that the predicate rejects')
+      assert.deepStrictEqual(acl.match('users', '42', 'read').next().value.captures, [ '42' ], 'Should capture the matched segment')
+    })
+
+    test('An equal regular expression resolves to the same branch', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('files', /\.json$/, 'read')
+      acl.add('files', /\.json$/, 'update')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual([ ...acl.keys('files') ].length, 1, 'Should only define a single branch')
+      assert.ok(acl.get('files', /\.json$/, 'update'),       'Should get the branch by an equal expression')
+      assert.strictEqual(acl.delete('files', /\.json$/), true, 'Should delete the branch by an equal expression')
+      assert.strictEqual(acl.has('files', 'config.json', 'read'), false, 'Should no longer match the deleted branch')
+    })
+  })
+
+  suite('Can use brace alternations and globs in a segment', () =>
+  {
+    test('Can expand a brace alternation to sibling branches', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('users', '{read,update}', 'self')
+      acl.add('posts', '{get,set}-{title,body}')
+
+      const assert = contextualAssert({ acl })
+
+      assert.deepStrictEqual([ ...acl.keys('users') ], [ 'read', 'update' ], 'Should expand to a branch for each alternative')
+      assert.deepStrictEqual([ ...acl.keys('posts') ], [ 'get-title', 'get-body', 'set-title', 'set-body' ], 'Should expand each alternation of a segment')
+      assert.strictEqual(acl.has('users', 'update', 'self'), true, 'Should declare the remaining path on each alternative')
+    })
+
+    test('Can query using a brace alternation', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('users', 'read')
+      acl.add('users', 'delete')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual([ ...acl.query('users', '{read,delete,update}') ].length, 2, 'Should match each existing alternative')
+      assert.strictEqual(acl.has('users', '{create,update}'), false, 'Should not match when no alternative exists')
+    })
+
+    test('Can query using a glob in a segment', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('users', 'prefs-color', 'read')
+      acl.add('users', 'profile', 'read')
+
+      const assert = contextualAssert({ acl })
+
+      assert.deepStrictEqual([ ...acl.match('users', 'prefs-*', 'read') ].map(match => match.captures), [ [ 'prefs-color' ] ], 'Should only match the branches of the glob')
+      assert.strictEqual(acl.has('users', 'settings-*', 'read'), false, 'Should not match a glob that no branch matches')
+    })
+
+    test('Can add a glob in a segment', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('files', '*.json', 'read')
+      acl.add('files', acl.escape('*.yml'), 'read')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('files', 'config.json', 'read'), true,  'Should match a segment that the glob matches')
+      assert.strictEqual(acl.has('files', 'config.md', 'read'),   false, 'Should not match a segment that the glob does not match')
+      assert.strictEqual(acl.has('files', 'config.yml', 'read'),  false, 'An escaped glob should not match as a glob')
+    })
+  })
+
+  suite('Can resolve the most specific match', () =>
+  {
+    const config = new WildTrie()
+
+    config.add('users', '**').state           = 'default'
+    config.add('users', '*', 'avatar').state  = 'any user'
+    config.add('users', ':id', 'avatar').state = 'parameter'
+    config.add('users', 'me', 'avatar').state = 'me'
+
+    const assert = contextualAssert({ config })
+
+    test('A literal branch is more specific than a named parameter', () =>
+    {
+      assert.strictEqual(config.best('users', 'me', 'avatar').node.state, 'me', 'The literal branch-path should be the most specific')
+    })
+
+    test('A named parameter is more specific than a wildcard', () =>
+    {
+      assert.strictEqual(config.best('users', 'you', 'avatar').node.state, 'parameter', 'The named parameter branch-path should be the most specific')
+    })
+
+    test('A wildcard is more specific than a globstar', () =>
+    {
+      const trie = new WildTrie()
+
+      trie.add('users', '**').state          = 'default'
+      trie.add('users', '*', 'avatar').state = 'any user'
+
+      assert.strictEqual(trie.best('users', 'you', 'avatar').node.state, 'any user', 'The wildcard branch-path should be the most specific')
+    })
+
+    test('Falls back to the globstar', () =>
+    {
+      assert.strictEqual(config.best('users', 'you', 'settings').node.state, 'default', 'The globstar branch-path should be the only match')
+    })
+
+    test('Returns undefined when nothing matches', () =>
+    {
+      assert.strictEqual(config.best('posts', 'you'), undefined, 'Nothing should match')
+    })
+
+    test('Each match is ranked by the specificity of each stored branch', () =>
+    {
+      const specificities = [ ...config.match('users', 'me', 'avatar') ].map(match => match.specificity)
+      assert.deepStrictEqual(specificities, [ [ 4, 4, 4 ], [ 4, 2, 4 ], [ 4, 1, 4 ], [ 4, 0 ] ], 'Should rank each match, in the order of specificity')
+    })
+  })
+
+  suite('Can deny a path', () =>
+  {
+    test('An explicit deny overrides a wildcard allow', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', '*')
+      acl.deny('admin', 'users', 'delete')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('admin', 'users', 'read'),   true,  'An admin should have access to read users')
+      assert.strictEqual(acl.has('admin', 'users', 'delete'), false, 'An admin should be denied to delete users')
+      assert.strictEqual(acl.has('admin', 'posts', 'delete'), true,  'An admin should have access to delete posts')
+      assert.strictEqual(acl.query('admin', 'users', 'delete').next().done, true, 'Should not query a denied path')
+    })
+
+    test('A more specific allow overrides a wildcard deny', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('user', 'posts', 'delete')
+      acl.deny('user', '*', 'delete')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('user', 'posts', 'delete'), true,  'A user should have access to delete posts')
+      assert.strictEqual(acl.has('user', 'users', 'delete'), false, 'A user should not have access to delete users')
+    })
+
+    test('An equally specific deny overrides an allow', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('guest', '**')
+      acl.deny('guest', 'secrets', '**')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('guest', 'posts', 'read'),   true,  'A guest should have access to read posts')
+      assert.strictEqual(acl.has('guest', 'secrets', 'read'), false, 'A guest should be denied to read secrets')
+    })
+
+    test('A deny declared on a descendant applies to the paths queried from an ancestor', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', '*')
+      acl.get('admin').deny('users', 'delete')
+
+      const 
+        editor = acl.add('role', 'editor'),
+        assert = contextualAssert({ acl })
+
+      editor.add('posts', '*')
+      editor.deny('posts', 'delete')
+      acl.set('user', 'alice', editor)
+
+      assert.strictEqual(acl.has('admin', 'users', 'delete'), false, 'Should deny the path by the deny rule of the descendant')
+      assert.strictEqual(acl.has('admin', 'users', 'read'),   true,  'Should allow a path that the deny rule does not match')
+      assert.deepStrictEqual(acl.decide('admin', 'users', 'delete').deny.path, [ 'admin', '!', 'users', 'delete' ], 'Should decide by the branch-path of the deny rule from the ancestor')
+      assert.strictEqual(acl.has('user', 'alice', 'posts', 'delete'), false, 'Should deny the path by the deny rule of a shared trie-node')
+      assert.strictEqual(acl.has('user', 'alice', 'posts', 'read'),   true,  'Should allow the path through a shared trie-node')
+    })
+
+    test('Can decide a path', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', '*')
+      acl.deny('admin', 'users', 'delete')
+
+      const
+        assert  = contextualAssert({ acl }),
+        denied  = acl.decide('admin', 'users', 'delete'),
+        allowed = acl.decide('admin', 'users', 'read')
+
+      assert.strictEqual(denied.allowed, false, 'Should decide that the path is denied')
+      assert.strictEqual(denied.allow.node, acl.get('admin', '*', '*'), 'Should decide by the most specific match')
+      assert.strictEqual(denied.deny.node, acl.get('!', 'admin', 'users', 'delete'), 'Should decide by the most specific deny rule')
+      assert.strictEqual(allowed.allowed, true, 'Should decide that the path is allowed')
+      assert.strictEqual(allowed.deny, undefined, 'Should not have a deny rule that matched')
+    })
+
+    test('A wildcard in the path is decided by each matched path', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', 'delete')
+      acl.deny('admin', 'users', 'delete')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('*', 'users', 'delete'), false, 'Should not match a path that is denied')
+      assert.strictEqual(acl.has('*', 'posts', 'delete'), true,  'Should match a path that is not denied')
+      assert.strictEqual(acl.has('**', 'delete'),         true,  'Should match the wildcard allow')
+    })
+  })
+
+  suite('Can explain a match', () =>
+  {
+    test('Can explain the stored branch-path and each step of a match', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', 'read')
+
+      const
+        assert          = contextualAssert({ acl }),
+        [ explanation ] = acl.explain('admin', 'users', 'read')
+
+      assert.deepStrictEqual(explanation.path, [ 'admin', '*', 'read' ], 'Should explain the stored branch-path')
+      assert.deepStrictEqual(explanation.steps,
+      [
+        { type: 'literal',  branch: 'admin', segment: 'admin' },
+        { type: 'wildcard', branch: '*',     segment: 'users' },
+        { type: 'literal',  branch: 'read',  segment: 'read'  }
+      ], 'Should explain how each step was matched')
+      assert.strictEqual(explanation.allowed, true, 'Should explain that the match is allowed')
+    })
+
+    test('Can explain the shared trie-nodes of a match', () =>
+    {
+      const
+        groups  = new WildTrie(),
+        creator = groups.add('creator'),
+        reader  = groups.add('reader')
+
+      reader.add('read')
+      creator.set('reader', reader)
+
+      const
+        assert          = contextualAssert({ groups }),
+        [ explanation ] = groups.explain('creator', 'reader', 'read')
+
+      assert.deepStrictEqual(explanation.references.map(reference => reference.path), [ [ 'creator', 'reader' ] ], 'Should explain the shared trie-node')
+      assert.strictEqual(explanation.references[0].node, reader, 'Should reference the shared trie-node')
+
+      groups.delete('reader')
+
+      const [ unshared ] = groups.explain('creator', 'reader', 'read')
+      assert.deepStrictEqual(unshared.references, [], 'Should not explain a trie-node that is no longer shared')
+    })
+
+    test('Can explain a denied match', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', 'delete')
+      acl.deny('admin', 'users', 'delete')
+
+      const
+        assert          = contextualAssert({ acl }),
+        [ explanation ] = acl.explain('admin', 'users', 'delete')
+
+      assert.strictEqual(explanation.allowed, false, 'Should explain that the match is denied')
+      assert.deepStrictEqual(explanation.deny.path, [ '!', 'admin', 'users', 'delete' ], 'Should explain the deny rule')
+    })
+
+    test('Can trace the ancestors of a match', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', 'users', 'read')
+      acl.add('admin', 'posts', 'read')
+
+      const
+        assert  = contextualAssert({ acl }),
+        trace   = [ ...acl.trace('admin', 'users', 'read') ]
+
+      assert.deepStrictEqual(trace, [ acl.get('admin', 'users', 'read'), acl.get('admin', 'users'), acl.get('admin'), acl ], 'Should trace each ancestor of the leaf node')
+    })
+  })
+
+  suite('Can compare a pattern with the stored branch-paths', () =>
+  {
+    test('Can check if a pattern is covered', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('user', '**', 'read')
+      acl.add('admin', '*', '*')
+      acl.add('files', '*.json')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.covers('user', 'posts', '*', 'read'), true,  'A globstar should cover a wildcard')
+      assert.strictEqual(acl.covers('user', '**', 'read'),         true,  'A globstar should cover a globstar')
+      assert.strictEqual(acl.covers('user', '**'),                 false, 'A globstar followed by a branch should not cover a trailing globstar')
+      assert.strictEqual(acl.covers('admin', '*', '*'),            true,  'A wildcard should cover a wildcard')
+      assert.strictEqual(acl.covers('admin', '**'),                false, 'A wildcard should not cover a globstar')
+      assert.strictEqual(acl.covers('admin', '{users,posts}', 'read'), true, 'A wildcard should cover each alternative')
+      assert.strictEqual(acl.covers('files', 'config-*.json'),     true,  'A glob should cover a narrower glob')
+      assert.strictEqual(acl.covers('files', '*'),                 false, 'A glob should not cover a wildcard')
+    })
+
+    test('A pattern is not covered if a deny rule overlaps it', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', '*', '*')
+      acl.deny('admin', 'users', 'delete')
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.covers('admin', '*', '*'),     false, 'Should not cover a pattern that a deny rule overlaps')
+      assert.strictEqual(acl.covers('admin', 'posts', '*'), true,  'Should cover a pattern that no deny rule overlaps')
+    })
+
+    test('Can yield the stored branch-paths that overlap a pattern', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('a', '*', 'read')
+      acl.add('a', 'y', 'update')
+      acl.add('a', '**', 'delete')
+      acl.add('b', 'prefs-*')
+
+      const assert = contextualAssert({ acl })
+
+      assert.deepStrictEqual([ ...acl.intersect('a', 'x', 'read') ].map(([ path ]) => path), [ [ 'a', '*', 'read' ] ], 'Should overlap the wildcard')
+      assert.deepStrictEqual([ ...acl.intersect('a', '*', 'update') ].map(([ path ]) => path), [ [ 'a', 'y', 'update' ] ], 'Should overlap the literal')
+      assert.deepStrictEqual([ ...acl.intersect('a', 'x', '**', 'delete') ].map(([ path ]) => path), [ [ 'a', '**', 'delete' ] ], 'Should overlap the globstar')
+      assert.deepStrictEqual([ ...acl.intersect('b', 'prefs-c*') ].map(([ path ]) => path), [ [ 'b', 'prefs-*' ] ], 'Should overlap the glob')
+      assert.deepStrictEqual([ ...acl.intersect('b', 'settings-*') ], [], 'Should not overlap a glob that does not overlap')
+    })
+  })
+
+  suite('Can enumerate the branch-paths', () =>
+  {
+    test('Can yield the branch-paths of the matched trie-nodes', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', 'users', 'read')
+      acl.add('admin', 'posts', 'read')
+      acl.add('admin', 'posts', 'create')
+
+      const
+        assert  = contextualAssert({ acl }),
+        paths   = [ ...acl.paths('admin', '*', 'read') ]
+
+      assert.deepStrictEqual(paths.map(([ path ]) => path), [ [ 'admin', 'users', 'read' ], [ 'admin', 'posts', 'read' ] ], 'Should yield the branch-path of each matched trie-node')
+      assert.strictEqual(paths[1][1], acl.get('admin', 'posts', 'read'), 'Should yield the matched trie-node')
+    })
+
+    test('Can yield each branch-path of a shared trie-node', () =>
+    {
+      const
+        groups  = new WildTrie(),
+        reader  = groups.add('reader'),
+        editor  = groups.add('editor')
+
+      reader.add('read')
+      editor.add('update')
+      editor.set('reader', reader)
+      groups.deny('editor', 'reader', 'read')
+
+      const
+        assert  = contextualAssert({ groups }),
+        leaves  = [ ...groups.leaves() ]
+
+      assert.deepStrictEqual(leaves.map(([ path ]) => path),
+      [
+        [ 'reader', 'read' ],
+        [ 'editor', 'update' ],
+        [ 'editor', 'reader', 'read' ]
+      ], 'Should yield each branch-path to a terminal trie-node, excluding the deny branch')
+      assert.strictEqual(leaves[0][1], leaves[2][1], 'Should yield the shared trie-node for each branch-path')
+      assert.deepStrictEqual([ ...groups.paths('**', 'read') ].map(([ path ]) => path), [ [ 'reader', 'read' ] ], 'Should not yield a denied branch-path')
+    })
+  })
+
+  suite('Can observe the mutations of a trie', () =>
+  {
+    test('Can bubble the mutation events up to the root', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        events  = []
+
+      acl.on('*', ({ type, path, previousState }) => events.push({ type, path, previousState }))
+      acl.add('admin', 'read').state = 'allow'
+      acl.get('admin', 'read').state = 'deny'
+      acl.set('user', new WildTrie({ read: 'allow' }))
+      acl.delete('admin', 'read')
+      acl.get('user').clear()
+
+      const assert = contextualAssert({ acl, events })
+
+      assert.deepStrictEqual(events, 
+      [
+        { type: 'add',    path: [ 'admin' ],          previousState: undefined },
+        { type: 'add',    path: [ 'admin', 'read' ],  previousState: undefined },
+        { type: 'state',  path: [ 'admin', 'read' ],  previousState: undefined },
+        { type: 'state',  path: [ 'admin', 'read' ],  previousState: 'allow'   },
+        { type: 'set',    path: [ 'user' ],           previousState: undefined },
+        { type: 'delete', path: [ 'admin', 'read' ],  previousState: 'deny'    },
+        { type: 'clear',  path: [ 'user' ],           previousState: undefined },
+      ], 'Should dispatch the events with the path from the observing trie-node')
+    })
+
+    test('Can bubble the mutation events to each parent of a shared trie-node', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        shared  = acl.add('roles', 'editor'),
+        paths   = []
+
+      acl.set('users', 'alice', shared)
+      acl.get('users').on('state', ({ path, node }) => paths.push({ path, node }))
+      acl.on('state', ({ path }) => paths.push({ path }))
+
+      shared.add('write').state = 'allow'
+
+      const assert = contextualAssert({ acl, paths })
+
+      assert.strictEqual(paths.length, 2, 'Should dispatch the event once for each ancestor')
+      assert.deepStrictEqual(paths[0].path, [ 'alice', 'write' ], 'Should dispatch to the ancestor that shares the trie-node')
+      assert.strictEqual(paths[0].node, shared.get('write'), 'Should reference the mutated trie-node')
+      assert.ok([ 'roles', 'users' ].includes(paths[1].path[0]), 'Should dispatch to the root once')
+    })
+
+    test('Can dispatch each distinct branch-path to an ancestor', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        events  = []
+
+      acl.add('group', 'creator')
+      acl.add('group', 'editor')
+      acl.add('group', 'reader')
+      acl.set('group', 'creator', 'editor', acl.get('group', 'editor'))
+      acl.set('group', 'editor',  'reader', acl.get('group', 'reader'))
+      acl.set('group', 'creator', 'reader', acl.get('group', 'reader'))
+      acl.on('add', ({ path, paths }) => events.push({ path, paths }))
+
+      acl.get('group', 'reader').add('list')
+
+      const assert = contextualAssert({ acl, events })
+
+      assert.strictEqual(events.length, 1, 'Should dispatch the event once to the ancestor')
+      assert.deepStrictEqual(events[0].path, [ 'group', 'reader', 'list' ], 'Should dispatch the shortest branch-path as the path')
+      assert.deepStrictEqual(events[0].paths, 
+      [
+        [ 'group', 'reader', 'list' ],
+        [ 'group', 'editor', 'reader', 'list' ],
+        [ 'group', 'creator', 'reader', 'list' ],
+        [ 'group', 'creator', 'editor', 'reader', 'list' ],
+      ], 'Should dispatch each distinct branch-path from the ancestor')
+    })
+
+    test('Resolves the distinct branch-paths of an event only when read', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        levels  = []
+
+      // Each level is shared by two branches, 2^24 distinct branch-paths from the root to the last level.
+      for(let node = acl, i = 0; i < 24; i++)
+      {
+        const level = new WildTrie()
+        node.set('a', level)
+        node.set('b', level)
+        levels.push(node = level)
+      }
+
+      const events = []
+
+      acl.on('add', (event) => events.push([ 'root', event ]))
+      levels[19].on('add', (event) => events.push([ 'level', event ]))
+      levels.at(-1).add('leaf')
+
+      const assert = contextualAssert({ events })
+
+      assert.deepStrictEqual(events.map(([ listener ]) => listener), [ 'level', 'root' ], 'Should dispatch the event once to each ancestor with a listener')
+      assert.deepStrictEqual(events[1][1].path, [ ...'a'.repeat(24), 'leaf' ], 'Should dispatch the shortest branch-path as the path')
+      assert.strictEqual(events[0][1].paths.length, 16, 'Should resolve the distinct branch-paths when read')
+    })
+
+    test('Can remove a listener', () =>
+    {
+      const 
+        trie     = new WildTrie(),
+        events   = [],
+        listener = event => events.push(event.type)
+
+      trie.on('add', listener)
+      trie.once('delete', listener)
+      trie.add('a')
+      trie.delete('a')
+      trie.off('add', listener)
+      trie.add('a')
+      trie.delete('a')
+
+      const assert = contextualAssert({ trie, events })
+
+      assert.deepStrictEqual(events, [ 'add', 'delete' ], 'Should not call a removed listener')
+      assert.throws(() => trie.on('add', 'not a function'), TypeError, 'Should throw if the listener is not a function')
+    })
+  })
+
+  suite('Can snapshot a trie', () =>
+  {
+    test('Can create a read-only snapshot that shares the trie-nodes that are not mutated', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', 'read').state = 'allow'
+      acl.add('guest', 'read')
+
+      const first = acl.snapshot()
+
+      acl.get('admin', 'read').state = 'deny'
+      acl.delete('guest')
+
+      const 
+        second  = acl.snapshot(),
+        assert  = contextualAssert({ acl, first, second })
+
+      assert.strictEqual(first.get('admin', 'read').state, 'allow', 'Should not be affected by later mutations')
+      assert.ok(first.has('guest', 'read'), 'Should keep a deleted branch')
+      assert.strictEqual(second.get('admin', 'read').state, 'deny', 'Should snapshot the mutated state')
+      assert.notStrictEqual(first.get('admin'), second.get('admin'), 'Should not share a mutated trie-node')
+      assert.strictEqual(acl.snapshot(), second, 'Should reuse the snapshot if the trie is not mutated')
+      assert.ok(Object.isFrozen(second), 'Should freeze the snapshot')
+      assert.throws(() => first.add('user'), { code: 'E_WILD_TRIE_FROZEN' }, 'Should not add to a snapshot')
+      assert.throws(() => first.get('admin').delete('read'), { code: 'E_WILD_TRIE_FROZEN' }, 'Should not delete from a snapshot')
+      assert.throws(() => first.get('admin', 'read').state = 'deny', { code: 'E_WILD_TRIE_FROZEN' }, 'Should not assign a state to a snapshot')
+    })
+
+    test('Can share the trie-nodes of the branches that are not mutated', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('admin', 'read')
+      acl.add('guest', 'read')
+
+      const first = acl.commit()
+      acl.add('guest', 'write')
+
+      const 
+        second  = acl.commit(),
+        assert  = contextualAssert({ acl, first, second })
+
+      assert.strictEqual(first.get('admin'), second.get('admin'), 'Should share the trie-node that was not mutated')
+      assert.notStrictEqual(first.get('guest'), second.get('guest'), 'Should not share the mutated trie-node')
+      assert.deepStrictEqual(acl.versions, [ first, second ], 'Should keep each committed snapshot as a version')
+      assert.strictEqual(acl.commit(), second, 'Should not commit a version if the trie is not mutated')
+      assert.deepStrictEqual(acl.versions, [ first, second ], 'Should not keep the same snapshot twice')
+    })
+
+    test('Can snapshot without keeping a version, and prune the versions', () =>
+    {
+      const acl = new WildTrie()
+
+      for(let i = 0; i < 1000; i++)
+      {
+        acl.add('request', String(i))
+        acl.snapshot()
+      }
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.versions.length, 0, 'Should not keep a snapshot as a version')
+
+      acl.commit()
+      acl.add('guest')
+      acl.commit()
+      acl.add('admin')
+      const latest = acl.commit()
+
+      assert.strictEqual(acl.prune(2).versions.length, 2, 'Should keep the latest versions')
+      assert.strictEqual(acl.versions[1], latest, 'Should index the kept versions from 0')
+      assert.strictEqual(acl.prune().versions.length, 0, 'Should release every version')
+      assert.throws(() => acl.prune(-1), { code: 'E_WILD_TRIE_VERSION' }, 'Should throw if the number of versions to keep is invalid')
+      assert.throws(() => latest.commit(), { code: 'E_WILD_TRIE_FROZEN' }, 'Should not commit a snapshot')
+    })
+
+    test('Can roll back to a version', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        admin   = acl.add('admin'),
+        events  = []
+
+      admin.add('read').state = 'allow'
+      acl.commit()
+
+      admin.get('read').state = 'deny'
+      admin.add('delete')
+      acl.delete('admin')
+      acl.add('guest')
+
+      acl.on('*', ({ type, path }) => events.push([ type, ...path ]))
+      acl.rollback(0)
+
+      const assert = contextualAssert({ acl, events })
+
+      assert.strictEqual(acl.get('admin'), admin, 'Should restore the trie-node of the version')
+      assert.strictEqual(acl.get('admin', 'read').state, 'allow', 'Should restore the state of the version')
+      assert.strictEqual(acl.has('admin', 'delete'), false, 'Should delete a branch that was added after the version')
+      assert.strictEqual(acl.has('guest'), false, 'Should delete a branch of the root that was added after the version')
+      assert.deepStrictEqual(events.sort(), [[ 'delete', 'admin', 'delete' ], [ 'delete', 'guest' ], [ 'set', 'admin' ], [ 'state', 'admin', 'read' ]], 'Should dispatch the events of the rollback')
+      assert.strictEqual(acl.snapshot(), acl.versions[0], 'Should reuse the snapshot of the version')
+      assert.throws(() => acl.rollback(5), { code: 'E_WILD_TRIE_VERSION' }, 'Should throw if the version does not exist')
+      assert.throws(() => acl.rollback(new WildTrie().snapshot()), { code: 'E_WILD_TRIE_VERSION' }, 'Should throw if the snapshot is of another trie')
+    })
+
+    test('Can snapshot a lazy trie-node without loading it', () =>
+    {
+      let 
+        failing = true,
+        calls   = 0
+
+      const acl = new WildTrie()
+
+      acl.add('admin', 'read')
+      acl.setLazy('tenant', () =>
+      {
+        calls++
+
+        if(failing)
+        {
+          throw new Error('Failed to load')
+        }
+
+        return { acme: 'loaded' }
+      })
+
+      const 
+        snapshot  = acl.commit(),
+        assert    = contextualAssert({ acl, snapshot })
+
+      assert.strictEqual(calls, 0, 'Should not load the lazy trie-node when snapshotted')
+      assert.throws(() => snapshot.has('tenant', 'acme'), { message: 'Failed to load' }, 'Should load the lazy trie-node when the snapshot is walked')
+      assert.strictEqual(acl.snapshot(), snapshot, 'Should not invalidate the snapshot if the lazy trie-node fails to load')
+
+      failing = false
+
+      assert.ok(snapshot.has('tenant', 'acme'), 'Should load the lazy snapshot when the loader recovers')
+      assert.strictEqual(acl.snapshot().get('tenant'), snapshot.get('tenant'), 'Should share the loaded lazy snapshot')
+
+      acl.add('guest')
+      acl.rollback(0)
+
+      assert.strictEqual(acl.get('tenant', 'acme')?.state, 'loaded', 'Should not delete the loaded branches when rolled back')
+      assert.strictEqual(acl.has('guest'), false, 'Should roll back the mutations')
+      assert.strictEqual(calls, 2, 'Should not load the lazy trie-node again')
+
+      const group = acl.setLazy('group', () => ({ editor: 'loaded' }))
+
+      acl.commit()
+      group.state = 'mutated'
+      acl.has('group', 'editor')
+      acl.rollback(1)
+
+      assert.strictEqual(group.state, undefined, 'Should roll back a lazy trie-node that was mutated before it was loaded')
+      assert.ok(acl.has('group', 'editor'), 'Should load the rolled back lazy trie-node again')
+    })
+  })
+
+  suite('Can diff and patch a trie', () =>
+  {
+    test('Can diff two tries to the operations that mutates the first trie to the second trie', () =>
+    {
+      const 
+        a = WildTrie.from({ admin: { read: 'allow' }, guest: { read: true } }),
+        b = WildTrie.from({ admin: { read: 'deny', write: 'allow' } })
+
+      b.deny('admin', 'delete')
+
+      const assert = contextualAssert({ a, b })
+
+      assert.deepStrictEqual(WildTrie.diff(a, b),
+      [
+        { op: 'add',    path: [ '!' ] },
+        { op: 'add',    path: [ 'admin', 'write' ] },
+        { op: 'add',    path: [ '!', 'admin' ] },
+        { op: 'state',  path: [ 'admin', 'read' ], from: 'allow', to: 'deny' },
+        { op: 'state',  path: [ 'admin', 'write' ], from: undefined, to: 'allow' },
+        { op: 'add',    path: [ '!', 'admin', 'delete' ] },
+        { op: 'deny',   path: [ '!', 'admin', 'delete' ], from: false, to: true },
+        { op: 'delete', path: [ 'guest' ] },
+      ], 'Should diff the branch-paths breadth first, and delete last')
+      assert.deepStrictEqual(WildTrie.diff(a, a), [], 'Should not diff a trie to itself')
+      assert.throws(() => WildTrie.diff(a, {}), TypeError, 'Should throw if not a WildTrie instance')
+    })
+
+    test('Can diff and patch the shared references of a trie', () =>
+    {
+      const acl = new WildTrie()
+
+      acl.add('roles', 'editor', 'write')
+      acl.set('users', 'alice', acl.get('roles', 'editor'))
+
+      const before = acl.snapshot()
+
+      acl.add('roles', 'viewer', 'read')
+      acl.set('users', 'alice', acl.get('roles', 'viewer'))
+      acl.delete('roles', 'editor')
+
+      const 
+        operations  = WildTrie.diff(before, acl),
+        deployed    = WildTrie.fromJSON(before.toJSON({ references: true })),
+        assert      = contextualAssert({ acl, operations, deployed })
+
+      assert.deepStrictEqual(operations,
+      [
+        { op: 'add',        path: [ 'roles', 'viewer' ] },
+        { op: 'reference',  path: [ 'users', 'alice' ], from: [ 'roles', 'editor' ], to: [ 'roles', 'viewer' ] },
+        { op: 'add',        path: [ 'roles', 'viewer', 'read' ] },
+        { op: 'delete',     path: [ 'roles', 'editor' ] },
+      ], 'Should diff the changed reference')
+
+      deployed.applyPatch(operations)
+
+      assert.deepStrictEqual(WildTrie.diff(deployed, acl), [], 'Should patch the trie to the compared trie')
+      assert.strictEqual(deployed.get('users', 'alice'), deployed.get('roles', 'viewer'), 'Should patch the shared reference')
+    })
+
+    test('Can detect a conflict and restore the trie', () =>
+    {
+      const 
+        trie    = WildTrie.from({ a: { b: 1 } }),
+        json    = trie.toJSON(),
+        patch   =
+        [
+          { op: 'add',   path: [ 'c' ] },
+          { op: 'state', path: [ 'a', 'b' ], from: 2, to: 3 },
+        ],
+        assert  = contextualAssert({ trie, patch })
+
+      assert.throws(() => trie.applyPatch(patch), { code: 'E_WILD_TRIE_PATCH_CONFLICT', index: 1 }, 'Should throw if the trie has drifted')
+      assert.deepStrictEqual(trie.toJSON(), json, 'Should restore the trie if the patch conflicts')
+      assert.throws(() => trie.applyPatch([{ op: 'move', path: [] }]), { code: 'E_WILD_TRIE_INVALID_PATCH' }, 'Should throw if the operation is not valid')
+      assert.throws(() => trie.snapshot().applyPatch([]), { code: 'E_WILD_TRIE_FROZEN' }, 'Should not patch a snapshot')
+    })
+  })
+
+  suite('Can combine tries', () =>
+  {
+    test('Can merge a trie, and resolve the conflicting states', () =>
+    {
+      const 
+        roles   = WildTrie.from({ posts: { read: 'editor' } }),
+        shared  = roles.add('comments', 'read'),
+        other   = WildTrie.from({ posts: { read: 'viewer', write: 'editor' } })
+
+      other.set('drafts', other.get('posts'))
+
+      const assert = contextualAssert({ roles, other })
+
+      roles.merge(other, { onConflict: (state, otherState) => `${state},${otherState}` })
+
+      assert.strictEqual(roles.get('posts', 'read').state, 'editor,viewer', 'Should resolve the conflict by the reducer')
+      assert.strictEqual(roles.get('posts', 'write').state, 'editor', 'Should merge the branch that the trie does not have')
+      assert.strictEqual(roles.get('comments', 'read'), shared, 'Should keep the trie-nodes of the trie')
+      assert.strictEqual(roles.get('drafts', 'write'), roles.get('posts', 'write'), 'Should share the trie-nodes that the other trie shares')
+      assert.strictEqual(roles.merge(other, { onConflict: 'keep' }).get('posts', 'read').state, 'editor,viewer', 'Should keep the state')
+      assert.strictEqual(roles.merge(other).get('posts', 'read').state, 'viewer', 'Should overwrite the state by default')
+      assert.throws(() => roles.merge(other, { onConflict: 'sum' }), { code: 'E_WILD_TRIE_MERGE_STRATEGY' }, 'Should throw if the strategy is not valid')
+    })
+
+    test('Can restore the trie if the merge throws', () =>
+    {
+      const 
+        trie    = WildTrie.from({ a: 1, b: 1 }),
+        json    = trie.toJSON(),
+        other   = WildTrie.from({ a: 2, b: 2, c: 2 }),
+        assert  = contextualAssert({ trie, other })
+
+      assert.throws(() => trie.merge(other, { onConflict: (state, otherState, path) => 
+      {
+        if(path[0] === 'b')
+        {
+          throw new Error('Conflict')
+        }
+
+        return otherState
+      }}), { message: 'Conflict' }, 'Should throw the error of the reducer')
+
+      assert.deepStrictEqual(trie.toJSON(), json, 'Should restore the trie')
+    })
+
+    test('Can unite, intersect and subtract tries that include wildcards', () =>
+    {
+      const 
+        a = new WildTrie(),
+        b = new WildTrie()
+
+      a.add('a', '*', 'read').state = 'a'
+      a.add('b', 'read')
+      b.add('a', 'x', '**').state = 'b'
+      b.add('c', 'read')
+
+      const 
+        union         = a.union(b),
+        intersection  = a.intersection(b),
+        difference    = a.difference(b),
+        assert        = contextualAssert({ a, b, union, intersection, difference })
+
+      assert.ok(union.has('b', 'read') && union.has('c', 'read') && union.has('a', 'x', 'y'), 'Should unite the rules')
+      assert.deepStrictEqual([ ...intersection.leaves() ].map(([ path ]) => path), [[ 'a', 'x', 'read' ]], 'Should intersect the wildcards')
+      assert.strictEqual(intersection.get('a', 'x', 'read').state, 'b', 'Should resolve the state of the intersected rule')
+      assert.strictEqual(a.intersection(b, { onConflict: 'keep' }).get('a', 'x', 'read').state, 'a', 'Should resolve the state by the strategy')
+      assert.ok(difference.has('a', 'y', 'read'), 'Should include the rule that partially overlaps')
+      assert.strictEqual(difference.has('a', 'x', 'read'), false, 'Should deny the intersection of the rule that partially overlaps')
+      assert.ok(difference.has('b', 'read'), 'Should include the rule that does not overlap')
+      assert.strictEqual(b.difference(a.union(b)).has('c'), false, 'Should exclude the covered rules')
+    })
+
+    test('Can intersect a regular expression branch', () =>
+    {
+      const 
+        a = new WildTrie(),
+        b = new WildTrie()
+
+      a.add('users', /^\d+$/, 'read')
+      b.add('users', '42', '*')
+
+      const assert = contextualAssert({ a, b })
+
+      assert.deepStrictEqual([ ...a.intersection(b).leaves() ].map(([ path ]) => path), [[ 'users', '42', 'read' ]], 'Should intersect the regular expression')
+      assert.deepStrictEqual([ ...b.intersection(a).leaves() ].map(([ path ]) => path), [[ 'users', '42', 'read' ]], 'Should intersect in both directions')
+      assert.deepStrictEqual([ a.size, b.size ], [ 3, 3 ], 'Should not index the intersected branches in either trie')
+    })
+  })
+
+  suite('Can mutate a trie in a transaction', () =>
+  {
+    test('Can roll back a transaction that throws', () =>
+    {
+      const 
+        acl     = WildTrie.from({ admin: { read: 'allow' } }),
+        json    = acl.toJSON(),
+        assert  = contextualAssert({ acl })
+
+      let error
+
+      try
+      {
+        acl.transaction((tx) =>
+        {
+          tx.get('admin', 'read').state = 'deny'
+          tx.add('guest', 'read')
+          tx.add('guest', 'write').set('loop', tx)
+        })
+      }
+      catch(reason)
+      {
+        error = reason
+      }
+
+      assert.ok(error instanceof ReferenceError, 'Should rethrow the error')
+      assert.strictEqual(error.code, 'E_WILD_TRIE_CIRCULAR_REFERENCE', 'Should keep the error code')
+      assert.deepStrictEqual(acl.toJSON(), json, 'Should roll back the mutations')
+      assert.deepStrictEqual(error.rollback,
+      [
+        { op: 'state',  path: [ 'admin', 'read' ], from: 'deny', to: 'allow' },
+        { op: 'delete', path: [ 'guest' ] },
+      ], 'Should report the operations that rolled back the mutations')
+      assert.strictEqual(acl.transaction((tx) => tx.add('guest').state = 'ok'), 'ok', 'Should return the result of the transaction')
+      assert.ok(acl.has('guest'), 'Should keep the mutations of a transaction that does not throw')
+    })
+
+    test('Can roll back an async transaction that rejects', async () =>
+    {
+      const 
+        acl     = WildTrie.from({ admin: { read: 'allow' } }),
+        json    = acl.toJSON(),
+        assert  = contextualAssert({ acl })
+
+      await assert.rejects(acl.transaction(async (tx) =>
+      {
+        tx.add('guest', 'read')
+        await new Promise(setImmediate)
+        tx.delete('admin')
+        throw new Error('Failed to load the policy')
+      }), { message: 'Failed to load the policy', rollback: [{ op: 'add', path: [ 'admin' ] }, { op: 'add', path: [ 'admin', 'read' ] }, { op: 'state', path: [ 'admin', 'read' ], from: undefined, to: 'allow' }, { op: 'delete', path: [ 'guest' ] }] }, 'Should reject with the error')
+
+      assert.deepStrictEqual(acl.toJSON(), json, 'Should roll back the mutations')
+      assert.throws(() => acl.transaction('not a function'), TypeError, 'Should throw if the transaction is not a function')
+    })
+
+    test('Can roll back a nested transaction', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        assert  = contextualAssert({ acl })
+
+      acl.transaction((tx) =>
+      {
+        tx.add('a')
+        assert.throws(() => tx.transaction((nested) => 
+        {
+          nested.add('b')
+          throw new Error('Nested')
+        }), { message: 'Nested' })
+      })
+
+      assert.ok(acl.has('a'), 'Should keep the mutations of the outer transaction')
+      assert.strictEqual(acl.has('b'), false, 'Should roll back the mutations of the nested transaction')
+    })
+
+    test('Throws if another transaction of the trie is pending', async () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        assert  = contextualAssert({ acl })
+
+      const pending = acl.transaction(async (tx) =>
+      {
+        tx.add('one')
+        await new Promise(setImmediate)
+        tx.merge(WildTrie.from({ nested: 'merged' }))
+        tx.add('one-b')
+      })
+
+      assert.throws(() => acl.transaction(async (tx) => tx.add('two')), { code: 'E_WILD_TRIE_TRANSACTION' }, 'Should throw if the trie has a pending transaction')
+      assert.throws(() => acl.get('one').applyPatch([]), { code: 'E_WILD_TRIE_TRANSACTION' }, 'Should throw if an ancestor has a pending transaction')
+      assert.doesNotThrow(() => new WildTrie().transaction((tx) => tx.add('other')), 'Should not throw for a transaction of another trie')
+
+      await pending
+
+      assert.ok(acl.has('one-b') && acl.has('nested'), 'Should nest a mutation that is called within the pending transaction')
+      assert.strictEqual(acl.transaction((tx) => tx.add('two')), acl.get('two'), 'Should accept a transaction once the pending transaction completes')
+    })
+
+    test('Can roll back a transaction without loading the lazy trie-nodes', async () =>
+    {
+      const acl = new WildTrie()
+
+      acl.setLazy('tenant', 'acme', async () => ({ admin: { read: 'allow' } }))
+      acl.setLazy('broken', () => { throw new Error('Failed to load') })
+
+      const assert = contextualAssert({ acl })
+
+      await assert.rejects(acl.transaction(async (tx) =>
+      {
+        tx.add('guest')
+        await tx.hasAsync('tenant', 'acme', 'admin', 'read')
+        throw new Error('Failed')
+      }), { message: 'Failed' }, 'Should not load a lazy trie-node that throws when the transaction starts')
+
+      assert.strictEqual(acl.has('guest'), false, 'Should roll back the mutations')
+      assert.ok(await acl.hasAsync('tenant', 'acme', 'admin', 'read'), 'Should keep the loaded trie of a lazy trie-node when rolled back')
+    })
+  })
+
+  suite('Can reference a cyclic trie', () =>
+  {
+    const roles = () =>
+    {
+      const 
+        acl     = WildTrie.create({ cyclic: true }),
+        editor  = acl.add('role', 'editor'),
+        author  = acl.add('role', 'author')
+
+      editor.add('update').state = 'allow'
+      author.add('create').state = 'allow'
+      editor.set('inherits', author)
+      author.set('inherits', editor)
+
+      return acl
+    }
+
+    test('Throws if a reference creates a circular path, unless the trie is cyclic', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        assert  = contextualAssert({ acl })
+
+      acl.add('role', 'editor')
+      acl.set('role', 'author', 'inherits', acl.get('role', 'editor'))
+
+      assert.throws(() => acl.set('role', 'editor', 'inherits', acl.get('role', 'author')), { code: 'E_WILD_TRIE_CIRCULAR_REFERENCE' }, 'Should throw by default')
+      assert.throws(() => WildTrie.create({ cyclic: 'yes' }), { code: 'E_WILD_TRIE_CONFIG' }, 'Should throw if the cyclic configuration is not a boolean')
+      assert.doesNotThrow(() => roles(), 'Should allow the circular path in a cyclic trie')
+    })
+
+    test('Can query and has a cyclic trie', () =>
+    {
+      const 
+        acl     = roles(),
+        assert  = contextualAssert({ acl: acl.toString() })
+
+      assert.ok(acl.has('role', 'editor', 'inherits', 'create'), 'Should inherit the permission of the author')
+      assert.ok(acl.has('role', 'author', 'inherits', 'inherits', 'create'), 'Should follow the circular path')
+      assert.ok(acl.has('role', 'author', '**', 'update'), 'Should match the inherited permission by the globstar')
+      assert.strictEqual(acl.has('role', 'author', '**', 'delete'), false, 'Should terminate when nothing matches')
+      assert.strictEqual([ ...acl.query('**', 'create') ].length, 1, 'Should yield each matched trie-node once')
+      assert.strictEqual([ ...acl.query('role', 'editor', '**') ].length, 4, 'Should yield each descendant once')
+    })
+
+    test('Can count the descendants of a cyclic trie', () =>
+    {
+      const 
+        acl     = roles(),
+        assert  = contextualAssert({ acl: acl.toString() })
+
+      acl.get('role', 'editor').set('root', acl)
+
+      assert.strictEqual(acl.size, 5, 'Should count each descendant once')
+      assert.strictEqual([ ...acl.descendants() ].includes(acl), false, 'Should not yield the trie as its own descendant')
+    })
+
+    test('Can serialize a cyclic trie', () =>
+    {
+      const 
+        acl     = roles(),
+        json    = acl.toJSON(),
+        assert  = contextualAssert({ json })
+
+      assert.deepStrictEqual(json.branches[0][1].branches[0][1].branches[1][1].branches[1][1], { $ref: 1 }, 'Should serialize the circular branch as a reference')
+
+      const restored = WildTrie.fromJSON(JSON.parse(JSON.stringify(json)), { cyclic: true })
+
+      assert.strictEqual(restored.get('role', 'editor', 'inherits', 'inherits'), restored.get('role', 'editor'), 'Should restore the circular path')
+      assert.deepStrictEqual(restored.toJSON(), json, 'Should restore the same structure')
+
+      const shared = WildTrie.fromJSON(acl.toJSON({ references: true }), { cyclic: true })
+
+      assert.strictEqual(shared.get('role', 'author', 'inherits', 'inherits'), shared.get('role', 'author'), 'Should restore the circular path of each shared trie-node')
+      assert.throws(() => WildTrie.fromJSON(json), { code: 'E_WILD_TRIE_CIRCULAR_REFERENCE' }, 'Should throw if the trie is not configured to be cyclic')
+      assert.throws(() => acl.toBuffer(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw when serializing to the binary format')
+    })
+
+    test('Can write a cyclic trie as a tree', () =>
+    {
+      const 
+        acl     = roles(),
+        tree    = acl.toString(),
+        assert  = contextualAssert({ tree })
+
+      assert.strictEqual(tree, 
+        '\n└─ role'
+      + '\n   ├─ editor'
+      + '\n   │  ├─ update : allow'
+      + '\n   │  └─ inherits'
+      + '\n   │     ├─ create : allow'
+      + '\n   │     └─ inherits ↻'
+      + '\n   └─ author'
+      + '\n      ├─ create : allow'
+      + '\n      └─ inherits'
+      + '\n         ├─ update : allow'
+      + '\n         └─ inherits ↻', 'Should mark the circular branches')
+      assert.strictEqual(WildTrie.fromTree(tree).get('role', 'editor', 'inherits', 'inherits').size, 0, 'Should read the circular branch as an empty branch')
+    })
+
+    test('Can roll back a cyclic trie', () =>
+    {
+      const 
+        acl     = roles(),
+        json    = acl.toJSON(),
+        assert  = contextualAssert({ acl: acl.toString() })
+
+      const snapshot = acl.snapshot()
+      acl.get('role', 'editor').delete('inherits')
+      acl.add('role', 'author', 'delete')
+      acl.rollback(snapshot)
+
+      assert.deepStrictEqual(acl.toJSON(), json, 'Should restore the circular path')
+    })
+  })
+
+  suite('Can lazy load a trie-node', () =>
+  {
+    test('Can load a trie-node the first time a walk reaches it', () =>
+    {
+      const acl = new WildTrie()
+      let calls = 0
+
+      acl.add('tenant', 'public', 'read')
+      acl.setLazy('tenant', 'acme', () => 
+      {
+        calls++
+        return { admin: { read: 'allow' } }
+      })
+
+      const assert = contextualAssert({ acl })
+
+      assert.ok(acl.has('tenant', 'public', 'read'), 'Should be able to walk the trie without reaching the lazy trie-node')
+      assert.strictEqual(calls, 0, 'Should not load the trie-node until a walk reaches it')
+      assert.ok(acl.has('tenant', 'acme', 'admin', 'read'), 'Should load the trie-node when a walk reaches it')
+      assert.strictEqual(acl.get('tenant', 'acme', 'admin', 'read').state, 'allow', 'Should load the state of the trie-node')
+      assert.ok(acl.has('tenant', '*', 'admin', 'read'), 'Should walk the loaded trie-node by a wildcard')
+      assert.strictEqual(calls, 1, 'Should cache the loaded trie-node')
+      assert.throws(() => acl.setLazy('tenant', 'beta', 'not a function'), { code: 'E_WILD_TRIE_LAZY_LOADER' }, 'Should throw if the loader is not a function')
+    })
+
+    test('Does not load a lazy trie-node when it is counted, listed or printed', () =>
+    {
+      const acl = new WildTrie()
+      let calls = 0
+
+      acl.add('tenant', 'public', 'read')
+
+      const 
+        acme    = acl.setLazy('tenant', 'acme', () => 
+        {
+          calls++
+          throw new Error('The tenant is not available')
+        }),
+        assert  = contextualAssert({ acl: acl.toJSON() })
+
+      assert.strictEqual(acl.size, 4, 'Should count the lazy trie-node, but not its branches')
+      assert.strictEqual(acme.size, 0, 'Should not load the lazy trie-node to count its branches')
+      assert.deepStrictEqual([ ...acme.descendants() ], [], 'Should not load the lazy trie-node to list its descendants')
+      assert.deepStrictEqual([ [ ...acme.entries() ], [ ...acme.keys() ], [ ...acme.values() ] ], [ [], [], [] ], 'Should not load the lazy trie-node to list its branches')
+      assert.strictEqual(acl.toString(), '\n└─ tenant\n   ├─ public\n   │  └─ read\n   └─ acme …', 'Should print the lazy trie-node as not loaded')
+      assert.ok(util.inspect(acl).includes('acme …'), 'Should inspect the lazy trie-node as not loaded')
+      assert.strictEqual(calls, 0, 'Should not call the loader')
+      assert.throws(() => acl.has('tenant', 'acme', 'read'), { message: 'The tenant is not available' }, 'Should load the trie-node when a walk reaches it')
+      assert.strictEqual(calls, 1, 'Should call the loader when walked')
+    })
+
+    test('Can await the pending async loaders', async () =>
+    {
+      const acl = new WildTrie()
+      let calls = 0
+
+      acl.setLazy('tenant', 'acme', async () => 
+      {
+        calls++
+        await new Promise(resolve => setTimeout(resolve, 1))
+        const tenant = new WildTrie()
+        tenant.add('user', '**', 'read')
+        return tenant
+      })
+
+      const assert = contextualAssert({ acl })
+
+      assert.strictEqual(acl.has('tenant', 'acme', 'user', 'posts', 'read'), false, 'Should walk a pending trie-node as an empty trie-node')
+      assert.strictEqual(await acl.hasAsync('tenant', 'acme', 'user', 'posts', 'read'), true, 'Should await the pending loader')
+      assert.strictEqual(calls, 1, 'Should only call the loader once')
+      assert.ok(acl.has('tenant', 'acme', 'user', 'posts', 'read'), 'Should walk the loaded trie-node synchronously after it has been loaded')
+
+      acl.setLazy('tenant', 'beta', async () => ({ user: { read: 'allow' } }))
+
+      const states = []
+
+      for await(const trie of acl.queryAsync('tenant', '*', 'user', 'read'))
+      {
+        states.push(trie.state)
+      }
+
+      assert.deepStrictEqual(states, [ undefined, 'allow' ], 'Should yield the leaf nodes of all the loaded trie-nodes')
+    })
+
+    test('Can retry a failed loader', async () =>
+    {
+      const acl = new WildTrie()
+      let calls = 0
+
+      acl.setLazy('tenant', async () => 
+      {
+        if(calls++ === 0)
+        {
+          throw new Error('Failed to load')
+        }
+
+        return { acme: 'loaded' }
+      })
+
+      const assert = contextualAssert({ acl })
+
+      await assert.rejects(acl.hasAsync('tenant', 'acme'), { message: 'Failed to load' }, 'Should reject if the loader fails')
+      assert.strictEqual(await acl.hasAsync('tenant', 'acme'), true, 'Should retry the loader the next time a walk reaches it')
+      assert.strictEqual(calls, 2, 'Should have called the loader twice')
+    })
+  })
+
+  suite('Can persist a trie', () =>
+  {
+    let directory
+
+    before(() => directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wild-trie-')))
+    after(()  => fs.rmSync(directory, { recursive: true, force: true }))
+
+    test('Can write the mutations to a journal, and recover them when opened', () =>
+    {
+      const filePath  = path.join(directory, 'grants.journal')
+      const grants    = WildTrie.open(filePath)
+      const groups  = grants.add('group')
+      const reader  = groups.add('reader')
+
+      reader.add('**', 'read')
+      groups.add('editor').set('reader', reader)
+      grants.deny('group', 'reader', 'secret', 'read')
+      grants.add('user', /^\d+$/, 'posts')
+      grants.set('user', 'guest', 'anonymous')
+      grants.add('tmp', 'foo')
+      grants.delete('tmp', 'foo')
+      grants.close()
+
+      const assert = contextualAssert({ filePath, journal: fs.readFileSync(filePath, 'utf8') })
+
+      assert.throws(() => grants.add('foo'), { code: 'E_WILD_TRIE_JOURNAL' }, 'Should throw if mutating a closed persistent trie')
+
+      const reopened = WildTrie.open(filePath)
+
+      assert.ok(reopened.has('group', 'editor', 'reader', 'posts', 'read'), 'Should recover the mutations of the trie-nodes')
+      assert.strictEqual(reopened.get('group', 'editor', 'reader'), reopened.get('group', 'reader'), 'Should recover the shared trie-nodes')
+      assert.strictEqual(reopened.decide('group', 'reader', 'secret', 'read').allowed, false, 'Should recover the deny rules')
+      assert.ok(reopened.has('user', '42', 'posts'), 'Should recover a regular expression branch')
+      assert.strictEqual(reopened.get('user', 'guest').state, 'anonymous', 'Should recover a set state')
+      assert.ok(false === reopened.has('tmp', 'foo'), 'Should recover a deleted branch')
+
+      reopened.close()
+    })
+
+    test('Can recover from a partially written record', () =>
+    {
+      const filePath = path.join(directory, 'partial.journal')
+
+      WildTrie.open(filePath).add('group', 'reader', 'read').close()
+      fs.appendFileSync(filePath, '{"seq":100,"op":"ad')
+
+      const 
+        grants  = WildTrie.open(filePath),
+        assert  = contextualAssert({ filePath })
+
+      assert.ok(grants.has('group', 'reader', 'read'), 'Should recover the records before the partially written record')
+      assert.ok(fs.readFileSync(filePath, 'utf8').endsWith('\n'), 'Should discard the partially written record')
+
+      grants.add('after', 'recovery')
+      grants.close()
+
+      assert.ok(WildTrie.open(filePath).close().has('after', 'recovery'), 'Should append to the recovered journal')
+    })
+
+    test('Can compact the journal to a snapshot', () =>
+    {
+      const filePath  = path.join(directory, 'compacted.journal')
+      const grants    = WildTrie.open(filePath, { compactAfter: 2 })
+
+      grants.add('compacted', 'foo')
+      grants.add('compacted', 'bar')
+
+      const assert = contextualAssert({ filePath })
+
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '', 'Should truncate the journal when compacted')
+      assert.ok(fs.existsSync(`${filePath}.snapshot`), 'Should write a snapshot when compacted')
+
+      grants.add('compacted', 'baz')
+      grants.close()
+
+      const { seq } = JSON.parse(fs.readFileSync(`${filePath}.snapshot`, 'utf8'))
+
+      // A record that is already in the snapshot, of a compaction that did not truncate the journal.
+      fs.appendFileSync(filePath, JSON.stringify({ seq, op: 'add', node: [], args: [ 'replayed' ] }) + '\n')
+
+      const reopened = WildTrie.open(filePath).close()
+
+      assert.ok(reopened.has('compacted', 'baz'), 'Should recover the records after the snapshot')
+      assert.ok(reopened.has('compacted', 'bar'), 'Should recover the snapshot')
+      assert.ok(false === reopened.has('replayed'), 'Should not replay a record that is already in the snapshot')
+    })
+
+    test('Can persist an assigned state, a patch and a loaded lazy trie-node', () =>
+    {
+      const 
+        assigned  = path.join(directory, 'assigned.journal'),
+        grants    = WildTrie.open(assigned),
+        assert    = contextualAssert({ assigned })
+
+      grants.add('admin', 'read').state = 'v1'
+      grants.compact()
+      grants.get('admin', 'read').state = 'v2'
+      grants.add('guest', 'read').state = 'allow'
+      grants.applyPatch([{ op: 'deny', path: [ 'guest', 'read' ], from: false, to: true }])
+      grants.setLazy('tenant', () => ({ acme: 'loaded' }))
+      grants.has('tenant', 'acme')
+      grants.close()
+
+      const reopened = WildTrie.open(assigned).close()
+
+      assert.strictEqual(reopened.get('admin', 'read').state, 'v2', 'Should recover the state assigned after the compaction')
+      assert.strictEqual(reopened.get('guest', 'read').state, 'allow', 'Should recover the state assigned to a new trie-node')
+      assert.strictEqual(reopened.get('guest', 'read').toJSON().denied, true, 'Should recover the deny rule of the patch')
+      assert.strictEqual(reopened.get('tenant', 'acme').state, 'loaded', 'Should recover the loaded lazy trie-node')
+    })
+
+    test('Can write the mutations of a transaction when it completes', async () =>
+    {
+      const 
+        batched = path.join(directory, 'batched.journal'),
+        grants  = WildTrie.open(batched),
+        assert  = contextualAssert({ batched })
+
+      grants.add('admin', 'read')
+
+      assert.throws(() => grants.transaction((tx) =>
+      {
+        tx.add('guest', 'read').state = 'allow'
+        tx.delete('admin')
+        assert.strictEqual(fs.readFileSync(batched, 'utf8').split('\n').length, 2, 'Should not write the mutations before the transaction completes')
+        throw new Error('Failed')
+      }), { message: 'Failed' })
+
+      grants.transaction((tx) => tx.add('user', 'read'))
+
+      await grants.transaction(async (tx) =>
+      {
+        tx.add('async', 'read')
+        await new Promise(setImmediate)
+        tx.add('async', 'write')
+      })
+
+      const records = fs.readFileSync(batched, 'utf8').trim().split('\n').map(JSON.parse)
+
+      assert.deepStrictEqual(records.map(({ op }) => op), [ 'add', 'batch', 'batch' ], 'Should write each completed transaction as one record')
+
+      assert.throws(() => grants.transaction((tx) =>
+      {
+        tx.add('compacted')
+        tx.compact()
+        throw new Error('Failed')
+      }), { message: 'Failed' })
+
+      const pending = grants.transaction(async (tx) =>
+      {
+        tx.add('one')
+        await new Promise(setImmediate)
+        tx.add('one', 'b')
+      })
+
+      assert.throws(() => grants.transaction((tx) => tx.add('two')), { code: 'E_WILD_TRIE_TRANSACTION' }, 'Should throw if a transaction is pending')
+
+      await pending
+
+      grants.setLazy('tenant', () => ({ acme: 'loaded' }))
+
+      assert.throws(() => grants.transaction((tx) =>
+      {
+        tx.has('tenant', 'acme')
+        throw new Error('Failed')
+      }), { message: 'Failed' })
+
+      grants.close()
+
+      const reopened = WildTrie.open(batched).close()
+
+      assert.ok(reopened.has('admin', 'read'), 'Should not replay a transaction that was rolled back')
+      assert.strictEqual(reopened.has('guest'), false, 'Should not replay the mutations of a transaction that was rolled back')
+      assert.ok(reopened.has('user', 'read') && reopened.has('async', 'write'), 'Should replay the completed transactions')
+      assert.strictEqual(reopened.has('compacted'), false, 'Should not compact the journal to a transaction that was rolled back')
+      assert.ok(reopened.has('one', 'b'), 'Should replay the pending transaction')
+      assert.strictEqual(reopened.get('tenant', 'acme')?.state, 'loaded', 'Should replay the loaded lazy trie-node of a transaction that was rolled back')
+    })
+
+    test('Throws if the journal is corrupted', () =>
+    {
+      const 
+        corrupted = path.join(directory, 'corrupted.journal'),
+        assert    = contextualAssert({ corrupted })
+
+      fs.writeFileSync(corrupted, '{"seq":1,"op":"add","node":[],"args":["foo"]}\nnot json\n{"seq":2,"op":"add","node":[],"args":["bar"]}\n')
+
+      assert.throws(() => WildTrie.open(corrupted), { code: 'E_WILD_TRIE_JOURNAL' }, 'Should throw if a record is corrupted')
+      assert.throws(() => new WildTrie().compact(), { code: 'E_WILD_TRIE_JOURNAL' }, 'Should throw if the trie is not persistent')
+    })
+  })
+
+  suite('Transform', () =>
+  {
+    const acl = new WildTrie()
+
+    acl.add('admin', 'users', 'read')
+    acl.add('admin', 'users', 'create')
+    acl.add('user',  'users', 'read')
+
+    const assert = contextualAssert({ acl })
+
+    test('Can use toJSON', () =>
+    {
+      const json = acl.toJSON()
+
+      assert.deepStrictEqual(json, 
+      {
+        branches: 
+        [
+          [ 'admin', { branches: [ [ 'users', { branches: [ [ 'read', {} ], [ 'create', {} ] ] } ] ] } ],
+          [ 'user',  { branches: [ [ 'users', { branches: [ [ 'read', {} ] ] } ] ] } ]
+        ]
+      }, 'Should serialize the branches in the order they were defined')
+      assert.deepStrictEqual(acl.toJSON(1), { branches: [ [ 'admin', {} ], [ 'user', {} ] ] }, 'Should serialize the branches to the specified depth')
+    })
+
+    test('Can rebuild a trie from JSON', () =>
+    {
+      const trie = new WildTrie()
+
+      trie.state = 'root'
+      trie.add('users').state = { role: 'admin' }
+      trie.add('users', 'read').state = null
+      trie.add('users', /^\d+$/i, 'update').state = 0
+      trie.add('users', '*')
+
+      const 
+        json      = JSON.stringify(trie),
+        rebuilt   = WildTrie.fromJSON(json),
+        assert    = contextualAssert({ json, rebuilt })
+
+      assert.strictEqual(JSON.stringify(rebuilt), json, 'Should round-trip the JSON representation')
+      assert.strictEqual(rebuilt.state, 'root', 'Should restore the state of the root')
+      assert.deepStrictEqual(rebuilt.get('users').state, { role: 'admin' }, 'Should restore the state of an inner trie-node')
+      assert.strictEqual(rebuilt.get('users', 'read').state, null, 'Should restore a null state')
+      assert.ok('state' in JSON.parse(json).branches[0][1].branches[0][1], 'Should serialize a null state')
+      assert.ok(!('state' in JSON.parse(json).branches[0][1].branches[2][1]), 'Should omit an undefined state')
+      assert.deepStrictEqual([ ...rebuilt.get('users').keys() ], [ 'read', /^\d+$/i, '*' ], 'Should restore the order of the branches')
+      assert.strictEqual(rebuilt.query('users', '42', 'update').next().value?.state, 0, 'Should restore a regular expression branch')
+      assert.ok(rebuilt.has('users', 'foo'), 'Should restore a wildcard branch')
+
+      const acl = new WildTrie()
+      acl.add('users', '**')
+      acl.deny('users', 'admin')
+      acl.add('!', 'users', 'admin', 'foo')
+
+      assert.ok(WildTrie.fromJSON(JSON.stringify(acl)).decide('users', 'admin').allowed === false, 'Should restore a deny rule')
+    })
+
+    test('Can preserve shared trie-nodes when serializing to JSON', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        groups  = acl.add('group'),
+        creator = groups.add('creator'),
+        editor  = groups.add('editor'),
+        reader  = groups.add('reader')
+
+      creator.add('**', 'create')
+      editor .add('**', 'update')
+      reader .add('**', 'read')
+
+      creator.set('editor', editor)
+      editor .set('reader', reader)
+
+      const 
+        json      = acl.toJSON({ references: true }),
+        rebuilt   = WildTrie.fromJSON(JSON.stringify(json)),
+        assert    = contextualAssert({ json, rebuilt })
+
+      assert.deepStrictEqual(json.branches[0][1].branches[0][1].branches[1], [ 'editor', { id: 1, branches: [ [ '**', { branches: [ [ 'update', {} ] ] } ], [ 'reader', { id: 2, branches: [ [ '**', { branches: [ [ 'read', {} ] ] } ] ] } ] ] } ], 'Should serialize a shared trie-node once with an id')
+      assert.deepStrictEqual(json.branches[0][1].branches[1], [ 'editor', { $ref: 1 } ], 'Should serialize each other branch to a shared trie-node as a reference')
+      assert.deepStrictEqual(json.branches[0][1].branches[2], [ 'reader', { $ref: 2 } ], 'Should serialize each other branch to a shared trie-node as a reference')
+      assert.ok(JSON.stringify(acl.toJSON()).includes('"editor",{"branches"'), 'Should expand shared trie-nodes by default')
+      assert.ok(rebuilt.has('group', 'creator', '**', 'read'), 'Should restore the hierarchy of the shared trie-nodes')
+      assert.strictEqual(rebuilt.get('group', 'creator', 'editor'), rebuilt.get('group', 'editor'), 'Should restore the shared trie-node')
+      assert.strictEqual(rebuilt.get('group', 'editor', 'reader'), rebuilt.get('group', 'reader'), 'Should restore the shared trie-node')
+
+      rebuilt.get('group', 'reader').add('**', 'list')
+
+      assert.ok(rebuilt.has('group', 'creator', '**', 'list'), 'A change to a restored shared trie-node should show up in each branch to it')
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(rebuilt.toJSON({ references: true }))).branches[0][1].branches[2], [ 'reader', { $ref: 2 } ], 'Should round-trip the references')
+    })
+
+    test('Throws if the trie can not be serialized or deserialized', () =>
+    {
+      const trie = new WildTrie()
+      trie.add(segment => segment === 'foo')
+
+      assert.throws(() => trie.toJSON(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw if a predicate branch is serialized')
+      assert.doesNotThrow(() => JSON.stringify(trie), 'Should not throw if a predicate branch is implicitly serialized')
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(trie)).branches[0][0], { unserializable: "segment => segment === 'foo'" }, 'Should describe the unserializable branch')
+      assert.throws(() => WildTrie.fromJSON(JSON.stringify(trie)), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if an unserializable branch is deserialized')
+      assert.throws(() => WildTrie.fromJSON([]), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if the trie-node is not an object')
+      assert.throws(() => WildTrie.fromJSON({ branches: {} }), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if the branches is not an array')
+      assert.throws(() => WildTrie.fromJSON({ branches: [ [ 'foo' ] ] }), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if a branch is not a tuple')
+      assert.throws(() => WildTrie.fromJSON({ branches: [ [ 'foo', { $ref: 1 } ] ] }), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if a reference is not previously serialized')
+      assert.throws(() => WildTrie.fromJSON({ branches: [ [ 'foo', { id: 1 } ], [ 'bar', { id: 1 } ] ] }), { code: 'E_WILD_TRIE_INVALID_JSON' }, 'Should throw if an id is not unique')
+    })
+
+    test('Can inflate and deflate flat keys', () =>
+    {
+      const 
+        env     = new Map([ [ 'APP__DB__HOST', 'localhost' ], [ 'APP__DB__POOL_SIZE', '10' ], [ 'APP__LOG\\__LEVEL', 'debug' ] ]),
+        trie    = WildTrie.inflate(env, '__'),
+        assert  = contextualAssert({ env, trie })
+
+      assert.strictEqual(trie.get('APP', 'DB', 'HOST').state, 'localhost', 'Should split the keys by the separator')
+      assert.strictEqual(trie.get('APP', 'LOG__LEVEL').state, 'debug', 'Should not split the keys by an escaped separator')
+      assert.deepStrictEqual(trie.deflate('__'), env, 'Should deflate to the inflated flat keys')
+
+      const config = WildTrie.inflate({ 'db.host': 'localhost', 'db.pool\\.size': 10, 'files.\\*': 'literal', 'path\\\\.to': 'backslash' })
+
+      assert.strictEqual(config.get('db', 'pool.size').state, 10, 'Should inflate a segment that contains the separator')
+      assert.strictEqual(config.get('files', '\\*').state, 'literal', 'Should preserve a backslash in front of any other character')
+      assert.strictEqual(config.get('path\\', 'to').state, 'backslash', 'Should unescape an escaped backslash')
+      assert.deepStrictEqual(WildTrie.inflate(config.deflate('.', 'config', Object)).get('config').toJSON(), config.toJSON(), 'Should round-trip the flat keys of an Object')
+      assert.deepStrictEqual(config.deflate('.', 'config', Object)['config.db.pool\\.size'], 10, 'Should prepend the prefix to the flat keys')
+    })
+
+    test('Can deflate the branch-paths of the trie-nodes', () =>
+    {
+      const trie = new WildTrie()
+
+      trie.add('a', 'b', 'c')
+      trie.add('a', 'd').state = 'state'
+      trie.add('a', 'd', 'e')
+
+      const assert = contextualAssert({ trie })
+
+      assert.deepStrictEqual(trie.deflate('/', '', Set), new Set([ 'a/b/c', 'a/d/e' ]), 'Should deflate the terminal trie-nodes to a Set')
+      assert.deepStrictEqual(trie.deflate('/', '', Array), [ 'a/b/c', 'a/d/e' ], 'Should deflate the terminal trie-nodes to an Array')
+      assert.deepStrictEqual([ ...trie.deflate('/').keys() ], [ 'a/b/c', 'a/d', 'a/d/e' ], 'Should deflate each trie-node with a state, or without branches, to a Map')
+      assert.deepStrictEqual(WildTrie.inflate(trie.deflate('/', '', Set), '/').toJSON(), WildTrie.inflate([ 'a/b/c', 'a/d/e' ], '/').toJSON(), 'Should inflate the deflated branch-paths')
+    })
+
+    test('Throws if the trie can not be inflated or deflated', () =>
+    {
+      assert.throws(() => WildTrie.inflate({ foo: 1 }, '.', '', String), TypeError, 'Should throw if the state is not of the expected type')
+      assert.strictEqual(WildTrie.inflate({ foo: 'bar' }, '.', '', String).get('foo').state, 'bar', 'Should accept a primitive state of the expected type')
+
+      const trie = new WildTrie()
+      trie.add(/foo/)
+
+      assert.throws(() => trie.deflate(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw if a branch can not be flattened')
+    })
+
+    test('Can serialize to and from a binary buffer', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        groups  = acl.add('group'),
+        editor  = groups.add('editor'),
+        reader  = groups.add('reader')
+
+      acl.state = { version: 1 }
+      editor.add('**', 'update').state = 'allow'
+      reader.add('*', 'read').state = null
+      reader.add(/^\d+$/i, 'read').state = 1
+      acl.add(42, 'answer')
+      acl.deny('group', 'reader', 'secret', 'read')
+      editor.set('reader', reader)
+
+      const 
+        buffer  = acl.toBuffer(),
+        rebuilt = WildTrie.fromBuffer(buffer),
+        assert  = contextualAssert({ buffer, rebuilt })
+
+      assert.ok(Buffer.isBuffer(buffer), 'Should serialize to a buffer')
+      assert.strictEqual(buffer.toString('latin1', 0, 4), 'WTRI', 'Should start with the magic bytes')
+      assert.strictEqual(buffer[4], WildTrie.BUFFER_VERSION, 'Should include the format version')
+      assert.deepStrictEqual(rebuilt.toJSON({ references: true }), acl.toJSON({ references: true }), 'Should rebuild the trie structure')
+      assert.strictEqual(rebuilt.get('group', 'editor', 'reader'), rebuilt.get('group', 'reader'), 'Should rebuild the shared trie-nodes')
+      assert.strictEqual(rebuilt.decide('group', 'reader', 'secret', 'read').allowed, false, 'Should rebuild the deny rules')
+      assert.strictEqual(rebuilt.query('group', 'reader', '7', 'read').next().value?.state, 1, 'Should rebuild a regular expression branch')
+      assert.ok(rebuilt.has(42, 'answer'), 'Should rebuild a number branch')
+      assert.deepStrictEqual(WildTrie.fromBuffer(new Uint8Array(buffer)).toJSON(), acl.toJSON(), 'Should rebuild the trie structure from an Uint8Array')
+      assert.ok(buffer.length < JSON.stringify(acl.toJSON({ references: true })).length, 'Should be more compact than the JSON representation')
+      assert.throws(() => new WildTrie({ foo: () => null }).toBuffer(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw if a state is a function')
+      assert.throws(() => WildTrie.from({ foo: Symbol('bar') }).toBuffer(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw if a state is a symbol')
+      assert.throws(() => WildTrie.from({ foo: 1n }).toBuffer(), { code: 'E_WILD_TRIE_SERIALIZE' }, 'Should throw if a state is a BigInt')
+    })
+
+    test('Can load a large trie from a compact binary buffer', () =>
+    {
+      const acl = new WildTrie()
+
+      for(let tenant = 0; tenant < 50; tenant++)
+      {
+        for(let resource = 0; resource < 20; resource++)
+        {
+          for(const action of [ 'read', 'create', 'update', 'delete', 'list' ])
+          {
+            acl.add(`tenant-${tenant}`, `resource-${resource}`, action).state = 'allow'
+          }
+        }
+      }
+
+      const 
+        buffer  = acl.toBuffer(),
+        json    = JSON.stringify(acl.toJSON()),
+        loaded  = WildTrie.fromBuffer(buffer),
+        assert  = contextualAssert({ buffer: buffer.length, json: json.length })
+
+      // The load time is compared by the benchmark, npm run bench, and not by the test.
+      assert.ok(buffer.length * 2 < json.length, 'Should be less than half the size of the JSON representation')
+      assert.strictEqual(loaded.size, acl.size, 'Should load each trie-node')
+      assert.deepStrictEqual(loaded.toJSON(), acl.toJSON(), 'Should load the same trie structure')
+    })
+
+    test('Throws if the binary buffer is corrupted', () =>
+    {
+      const 
+        buffer    = new WildTrie({ foo: { bar: 'baz' } }).toBuffer(),
+        corrupted = Buffer.from(buffer),
+        version   = Buffer.from(buffer)
+
+      corrupted[corrupted.length - 1] ^= 0xff
+      version[4] = 0
+
+      assert.throws(() => WildTrie.fromBuffer(corrupted), { code: 'E_WILD_TRIE_INVALID_BUFFER' }, 'Should throw if the content is corrupted')
+      assert.throws(() => WildTrie.fromBuffer(buffer.subarray(0, buffer.length - 1)), { code: 'E_WILD_TRIE_INVALID_BUFFER' }, 'Should throw if the buffer is truncated')
+      assert.throws(() => WildTrie.fromBuffer(version), { code: 'E_WILD_TRIE_INVALID_BUFFER' }, 'Should throw if the version is not supported')
+      assert.throws(() => WildTrie.fromBuffer(Buffer.from('{}')), { code: 'E_WILD_TRIE_INVALID_BUFFER' }, 'Should throw if the magic bytes are missing')
+      assert.throws(() => WildTrie.fromBuffer('WTRI'), { code: 'E_WILD_TRIE_INVALID_BUFFER' }, 'Should throw if the argument is not a buffer')
+    })
+
+    test('Can parse and stringify a text of rules', () =>
+    {
+      const 
+        text =
+        [
+          '# Roles',
+          'group/creator/**/create',
+          'group/editor/**/update = "allow"',
+          '',
+          'group/reader/**/read   = { "level": 1 }',
+          '@ref group/creator/editor = group/editor',
+          '@ref group/editor/reader  = group/reader',
+          '!/group/reader/**/read',
+          'files/a\\/b/\\=c = null'
+        ].join('\n'),
+        acl     = WildTrie.parse(text),
+        assert  = contextualAssert({ text, acl })
+
+      assert.ok(acl.has('group', 'creator', '**', 'read'), 'Should reference the shared trie-nodes')
+      assert.strictEqual(acl.get('group', 'creator', 'editor'), acl.get('group', 'editor'), 'Should reference the shared trie-node')
+      assert.strictEqual(acl.get('group', 'editor', '**', 'update').state, 'allow', 'Should parse the state as a JSON literal')
+      assert.deepStrictEqual(acl.get('group', 'reader', '**', 'read').state, { level: 1 }, 'Should parse the state as a JSON literal')
+      assert.strictEqual(acl.get('files', 'a/b', '=c').state, null, 'Should unescape the escaped segments')
+      assert.strictEqual(acl.decide('group', 'reader', 'x', 'read').allowed, false, 'Should parse a deny rule')
+      assert.strictEqual(acl.decide('group', 'editor', 'x', 'read').allowed, true, 'Should parse a deny rule')
+
+      const 
+        string  = acl.stringify(),
+        rebuilt = WildTrie.parse(string)
+
+      assert.strictEqual(rebuilt.stringify(), string, 'Should round-trip the text of rules')
+      assert.deepStrictEqual(rebuilt.toJSON({ references: true }), acl.toJSON({ references: true }), 'Should round-trip the trie structure')
+      assert.includes(string.split('\n'), '@ref group/editor = group/creator/editor', 'Should reference a shared trie-node from each other branch-path')
+      assert.includes(string.split('\n'), 'files/a\\/b/\\=c = null', 'Should escape the segments')
+
+      rebuilt.get('group', 'reader').add('**', 'list')
+
+      assert.ok(rebuilt.has('group', 'creator', '**', 'list'), 'A change to a shared trie-node should show up in each branch to it')
+      assert.strictEqual(WildTrie.parse('a.b = 1\nc.d', '.').stringify('.'), 'a.b = 1\nc.d', 'Should use the specified separator')
+      assert.strictEqual(WildTrie.parse('= "root"').state, 'root', 'Should parse the state of the root')
+    })
+
+    test('Throws with the line and column of an invalid rule', () =>
+    {
+      assert.throws(() => WildTrie.parse('a\na/b = {x'), { code: 'E_WILD_TRIE_PARSE', line: 2, column: 8 }, 'Should throw if the state is not a JSON literal')
+      assert.throws(() => WildTrie.parse('  @foo a'), { code: 'E_WILD_TRIE_PARSE', line: 1, column: 3 }, 'Should throw if the directive is unknown')
+      assert.throws(() => WildTrie.parse('@ref a = b'), { code: 'E_WILD_TRIE_PARSE', line: 1, column: 10 }, 'Should throw if the referenced branch-path is not defined')
+      assert.throws(() => WildTrie.parse('a\n@ref a'), { code: 'E_WILD_TRIE_PARSE', line: 2, column: 5 }, 'Should throw if the reference has no target')
+    })
+
+    test('Can use toString', () =>
+    {
+      const string = acl.toString()
+
+      assert.includes(string.split('\n'), '├─ admin',         'The string representation should include "├─ admin"')
+      assert.includes(string.split('\n'), '│  └─ users',      'The string representation should include "│  └─ users"')
+      assert.includes(string.split('\n'), '│     ├─ read',    'The string representation should include "│     ├─ read"')
+      assert.includes(string.split('\n'), '│     └─ create',  'The string representation should include "│     └─ create"')
+      assert.includes(string.split('\n'), '└─ user',          'The string representation should include "└─ user"')
+      assert.includes(string.split('\n'), '   └─ users',      'The string representation should include "   └─ users"')
+      assert.includes(string.split('\n'), '      └─ read',    'The string representation should include "      └─ read"')
+    })
+
+    test('Can draw the trie structure as a graph', () =>
+    {
+      const 
+        acl     = new WildTrie(),
+        groups  = acl.add('group'),
+        editor  = groups.add('editor'),
+        reader  = groups.add('reader')
+
+      editor.add('**', 'update').state = 'allow'
+      reader.add('*', 'read')
+      editor.set('reader', reader)
+
+      const 
+        dot     = acl.toDot().split('\n'),
+        mermaid = acl.toMermaid().split('\n'),
+        assert  = contextualAssert({ dot, mermaid })
+
+      assert.strictEqual(dot[0], 'digraph WildTrie {', 'Should draw a directed graph')
+      assert.strictEqual(dot.filter(line => line.includes('label="reader"')).length, 2, 'Should draw the shared trie-node once, and a labeled reference edge to it')
+      assert.includes(dot, '  n3 [label="reader", shape=box];', 'Should draw the shared trie-node once')
+      assert.includes(dot, '  n2 -> n3 [label="reader", style=dashed];', 'Should draw the shared reference as a dashed edge')
+      assert.includes(dot, '  n4 [label="**", shape=hexagon];', 'Should mark a globstar branch')
+      assert.includes(dot, '  n5 [label="*", shape=diamond];', 'Should mark a wildcard branch')
+      assert.includes(dot, '  n6 [label="update\\nallow", shape=box];', 'Should label the state')
+
+      assert.strictEqual(mermaid[0], 'flowchart TD', 'Should draw a flowchart')
+      assert.includes(mermaid, '  n3["reader"]', 'Should draw the shared trie-node once')
+      assert.includes(mermaid, '  n2 -.->|"reader"| n3', 'Should draw the shared reference as a dotted edge')
+      assert.includes(mermaid, '  n4{{"**"}}', 'Should mark a globstar branch')
+      assert.includes(mermaid, '  n5{"*"}', 'Should mark a wildcard branch')
+      assert.includes(mermaid, '  n6["update<br>allow"]', 'Should label the state')
+
+      const limited = acl.toMermaid(2).split('\n')
+
+      assert.includes(limited, '  n2["editor …"]', 'Should mark a trie-node with branches beyond the depth')
+      assert.notIncludes(limited, '  n4{{"**"}}', 'Should not draw the trie-nodes beyond the depth')
+      assert.includes(limited, '  n1 --> n3', 'Should draw the edges within the depth')
+    })
+
+    test('Can read the tree format', () =>
+    {
+      const 
+        date    = new Date('2026-01-02T03:04:05Z'),
+        trie    = WildTrie.fromTree(acl.toString())
+
+      assert.strictEqual(trie.toString(), acl.toString(), 'Should read the tree format back in')
+
+      const literals = new WildTrie()
+
+      literals.add('string').state  = 'allow'
+      literals.add('number').state  = 10
+      literals.add('null').state    = null
+      literals.add('boolean').state = false
+      literals.add('date').state    = date
+      literals.add('regexp').state  = /^a\/b$/gi
+      literals.add('nested', 'leaf').state = 'leaf'
+
+      const rebuilt = WildTrie.fromTree(literals.toString())
+
+      assert.strictEqual(rebuilt.toString(), literals.toString(), 'Should round-trip the tree format')
+      assert.strictEqual(rebuilt.get('string').state, 'allow', 'Should read a string state')
+      assert.strictEqual(rebuilt.get('number').state, 10, 'Should read a number state')
+      assert.strictEqual(rebuilt.get('null').state, null, 'Should read a null state')
+      assert.strictEqual(rebuilt.get('boolean').state, false, 'Should read a boolean state')
+      assert.strictEqual(rebuilt.get('date').state.getTime(), date.getTime(), 'Should read a date state')
+      assert.deepStrictEqual(rebuilt.get('regexp').state, /^a\/b$/gi, 'Should read a regular expression state')
+      assert.strictEqual(rebuilt.get('nested', 'leaf').state, 'leaf', 'Should read a nested state')
+      assert.strictEqual(WildTrie.fromTree('└─ id : "10"').get('id').state, '10', 'Should read a JSON quoted string state')
+      assert.strictEqual(WildTrie.fromTree(util.inspect(literals, { colors: true })).toString(), literals.toString(), 'Should ignore the class name and the colors of util.inspect')
+    })
+
+    test('Throws with the line of an invalid tree', () =>
+    {
+      assert.throws(() => WildTrie.fromTree('├─ a\n      └─ b'), { code: 'E_WILD_TRIE_PARSE', line: 2 }, 'Should throw if the indentation skips a depth')
+      assert.throws(() => WildTrie.fromTree('├─ a\nb'), { code: 'E_WILD_TRIE_PARSE', line: 2 }, 'Should throw if the line is not a branch')
     })
   })
 })
\ No newline at end of file